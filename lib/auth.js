@@ -0,0 +1,12 @@
+/* =======================
+   SIGNED-IN IDENTITY
+   Anyone can register a Firebase account under any address, so an email
+   only identifies a user once Firebase has verified it. Magic-link guests
+   (guestAccess.js) proved theirs by opening the emailed link.
+======================= */
+
+/** The user's email, lowercased, if it can be trusted; otherwise null. */
+export const verifiedEmail = user =>
+  user && (user.email_verified === true || user.isGuest === true)
+    ? user.email?.toLowerCase() || null
+    : null
@@ -0,0 +1,74 @@
+import { badRequest } from './errors.js'
+
+/* =======================
+   CHECKOUT CART
+   An order is a list of line items, each with its own ticket type,
+   quantity and attendees. The old single-ticket payload
+   (ticketId + ticketQuantity + attendees) is read as a one-line cart.
+======================= */
+
+/**
+ * Normalise and validate the cart from an /api/init-payment body.
+ *
+ * @returns {{ ticketId: string, quantity: number, attendees: object[] }[]}
+ */
+export const parseCartItems = body => {
+  const { name, email } = body
+
+  const rawItems =
+    Array.isArray(body.items) && body.items.length > 0
+      ? body.items
+      : [{ ticketId: body.ticketId, quantity: body.ticketQuantity, attendees: body.attendees }]
+
+  const items = rawItems.map(item => {
+    if (!item?.ticketId) throw badRequest('Missing required fields')
+
+    const quantity = Number(item.quantity)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw badRequest('Invalid ticket quantity')
+    }
+
+    return {
+      ticketId: item.ticketId,
+      quantity,
+      attendees: Array.isArray(item.attendees) ? item.attendees : []
+    }
+  })
+
+  const ticketIds = items.map(item => item.ticketId)
+  if (new Set(ticketIds).size !== ticketIds.length) {
+    throw badRequest('Each ticket type can only appear once in the cart.')
+  }
+
+  // A lone ticket with no attendee list belongs to the buyer
+  const totalQuantity = items.reduce((total, item) => total + item.quantity, 0)
+  if (totalQuantity === 1 && items[0].attendees.length === 0) {
+    items[0].attendees = [{ name: name || 'Guest', email: email.toLowerCase(), isBuyer: true }]
+  }
+
+  for (const item of items) {
+    if (item.attendees.length !== item.quantity) {
+      throw badRequest('Attendee count does not match ticket quantity.')
+    }
+
+    if (item.attendees.some(a => !a?.email)) {
+      throw badRequest('Every attendee needs an email address.')
+    }
+  }
+
+  const emails = items.flatMap(item => item.attendees.map(a => a.email.toLowerCase()))
+  if (new Set(emails).size !== emails.length) {
+    throw badRequest('Duplicate attendee emails are not allowed.')
+  }
+
+  return items
+}
+
+/**
+ * One entry per ticket to issue, in cart order, paired with its quote line.
+ */
+export const flattenAttendees = (items, quote) =>
+  items.flatMap(item => {
+    const line = quote.items.find(l => l.ticketId === item.ticketId)
+    return item.attendees.map(attendee => ({ attendee, line }))
+  })
@@ -0,0 +1,57 @@
+import { badRequest } from './errors.js'
+
+/* =======================
+   CURRENCY
+   Amounts are stored in major units (naira, cedis, dollars) and only
+   converted to minor units at the provider boundary. The number of minor
+   digits comes from ISO 4217 via Intl, so XOF or UGX (no minor unit)
+   aren't multiplied by 100.
+======================= */
+
+export const DEFAULT_CURRENCY = 'NGN'
+
+const LOCALE = 'en-NG'
+
+export const normalizeCurrency = currency => {
+  const code = String(currency || DEFAULT_CURRENCY).trim().toUpperCase()
+  if (!/^[A-Z]{3}$/.test(code)) throw badRequest(`Invalid currency: ${currency}`)
+  return code
+}
+
+const digitsCache = new Map()
+
+/** Minor-unit exponent: 2 for NGN/USD/GHS, 0 for XOF. */
+export const minorDigits = currency => {
+  const code = normalizeCurrency(currency)
+
+  if (!digitsCache.has(code)) {
+    let digits
+    try {
+      digits = new Intl.NumberFormat(LOCALE, { style: 'currency', currency: code })
+        .resolvedOptions().maximumFractionDigits
+    } catch {
+      throw badRequest(`Unsupported currency: ${code}`)
+    }
+    digitsCache.set(code, digits)
+  }
+
+  return digitsCache.get(code)
+}
+
+export const roundMoney = (value, currency = DEFAULT_CURRENCY) => {
+  const factor = 10 ** minorDigits(currency)
+  return Math.round(value * factor) / factor
+}
+
+export const toMinor = (amount, currency = DEFAULT_CURRENCY) =>
+  Math.round(Number(amount) * 10 ** minorDigits(currency))
+
+export const fromMinor = (amountMinor, currency = DEFAULT_CURRENCY) =>
+  Number(amountMinor) / 10 ** minorDigits(currency)
+
+/** `₦5,000.00`, `GH₵120.00`, `US$40.00` */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat(LOCALE, {
+    style: 'currency',
+    currency: normalizeCurrency(currency)
+  }).format(amount)
@@ -0,0 +1,523 @@
+import Brevo from '@getbrevo/brevo'
+import { db } from './firebase.js'
+import { formatMoney } from './currency.js'
+import { buildTicketArtifacts } from './ticketRender.js'
+import { ticketAccessUrl } from './tickets.js'
+
+/* =======================
+   BREVO EMAIL SETUP
+======================= */
+export const emailApi = new Brevo.TransactionalEmailsApi()
+emailApi.authentications['apiKey'].apiKey = process.env.BREVO_API_KEY
+
+// Whole-order breakdown shown under each attendee's ticket
+export const renderOrderSummary = quote => {
+  const money = amount =>
+    amount === 0 ? 'FREE' : formatMoney(amount, quote.currency)
+
+  const rows = [
+    ...quote.items.map(item => [`${item.name} × ${item.quantity}`, money(item.amount)]),
+    ...(quote.discount ? [[`Discount (${quote.discount.code})`, `-${money(quote.discount.amount)}`]] : []),
+    ...quote.fees.map(fee => [fee.label, money(fee.amount)]),
+    ...quote.taxes.map(tax => [`${tax.label} (${tax.rate}%)`, money(tax.amount)]),
+    ...(quote.platformFee?.payer === 'buyer' && quote.platformFee.amount
+      ? [['Platform fee', money(quote.platformFee.amount)]]
+      : [])
+  ]
+
+  return `
+    <h3 style="margin-top:24px;">Order Summary</h3>
+    <table style="width:100%;border-collapse:collapse;">
+      ${rows.map(([label, value]) => `
+      <tr>
+        <td>${label}</td>
+        <td style="text-align:right;">${value}</td>
+      </tr>`).join('')}
+      <tr>
+        <td style="border-top:1px solid #eee;"><strong>Total</strong></td>
+        <td style="border-top:1px solid #eee;text-align:right;"><strong>${money(quote.total)}</strong></td>
+      </tr>
+    </table>
+  `
+}
+
+/* =======================
+   TICKET EMAILS
+   `ticketIds` is [{ ticketId, attendee }] for the tickets just issued.
+   Each email carries the QR image, a PDF ticket and, when configured,
+   an Apple Wallet pass and an "Add to Google Wallet" link, plus the
+   holder's private link to the ticket page.
+======================= */
+const renderTicketLinks = (ticketId, ticket, { attachments, googleWalletUrl }) => `
+  <p style="text-align:center;margin:20px 0 0;">
+    <a href="${ticketAccessUrl(ticketId, ticket)}" style="color:#ff8c00;">View your ticket online</a>
+  </p>
+  <p style="font-size:13px;color:#555;text-align:center;margin-top:20px;">
+    Your PDF ticket is attached.
+    ${attachments.some(file => file.name.endsWith('.pkpass')) ? 'Open the .pkpass attachment on an iPhone to add it to Apple Wallet.' : ''}
+  </p>
+  ${googleWalletUrl ? `
+  <p style="text-align:center;margin:16px 0;">
+    <a href="${googleWalletUrl}" style="background:#000;color:#fff;padding:10px 18px;border-radius:8px;text-decoration:none;">
+      Add to Google Wallet
+    </a>
+  </p>` : ''}
+`
+
+export const sendFreeTicketEmails = async ({ ticketIds, event, quote }) => {
+  for (const { ticketId, attendee } of ticketIds) {
+    try {
+      const ticketSnap = await db.collection("tickets").doc(ticketId).get();
+
+      if (!ticketSnap.exists) continue;
+
+      const ticket = ticketSnap.data();
+
+      const emailPayload = new Brevo.SendSmtpEmail();
+
+      emailPayload.subject = `🧩 Congratulations, You're ${event.name} certified `;
+
+      emailPayload.sender = {
+        name: "Airticks Events",
+        email: process.env.EMAIL_FROM,
+      };
+
+      emailPayload.to = [
+        {
+          email: ticket.email,
+          name: ticket.buyerName,
+        },
+      ];
+
+      const artifacts = await buildTicketArtifacts({ ticketId, ticket, event });
+      emailPayload.attachment = artifacts.attachments;
+
+      const intro = ticket.isBuyer
+        ? `
+            <p>Your free ticket to <b>${event.name}</b> experience is ready.</p>
+
+            <p>Your personal ticket is attached below.</p>
+            <p>Ticket Number: ${ticket.attendeeNumber} </p>
+          `
+        : `
+            <p><strong>${ticket.purchaserName}</strong> has registered you for <b>${event.name}</b>.</p>
+            <p>Ticket Number: ${ticket.attendeeNumber} </p>
+            
+            <p>This QR code belongs only to you.</p>
+          `;
+
+      emailPayload.htmlContent = `
+      <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+
+        <h2 style="text-align:center;color:#16a34a;">
+          🦅 Free Ticket Confirmed
+        </h2>
+
+        <p>Hello <strong>${ticket.buyerName}</strong>,</p>
+
+        ${intro}
+
+        <div style="text-align:center;margin:20px 0;">
+            <img src="data:image/png;base64,${ticket.qr}" width="220"/>
+        </div>
+
+        <table style="width:100%;border-collapse:collapse;">
+
+            <tr>
+                <td><strong>Event:</strong></td>
+                <td>${event.name}</td>
+            </tr>
+
+            <tr>
+                <td><strong>Ticket Type:</strong></td>
+                <td>${ticket.ticketType}</td>
+            </tr>
+
+            <tr>
+                <td><strong>Direction:</strong></td>
+                <td>${ticket.map}</td>
+            </tr>
+
+            <tr>
+                <td><strong>Price:</strong></td>
+                <td style="color:green;font-weight:bold;">FREE</td>
+            </tr>
+
+            <tr>
+                <td><strong>Reference:</strong></td>
+                <td>${ticketId}</td>
+            </tr>
+
+        </table>
+
+        ${renderOrderSummary(quote)}
+
+        ${renderTicketLinks(ticketId, ticket, artifacts)}
+
+        <p style="font-size:12px;color:#777;text-align:center;margin-top:20px;">
+            Please present this QR code at the event entrance.
+        </p>
+
+      </div>
+      `;
+
+      await emailApi.sendTransacEmail(emailPayload);
+
+      console.log("✅ Free ticket email sent:", ticket.email);
+
+    } catch (err) {
+      console.error("❌ Free ticket email error:", attendee.email, err);
+    }
+    }
+}
+
+export const sendPaidTicketEmails = async ({ ticketIds, eventDoc, quote, purchaserName }) => {
+  for (const { ticketId, attendee } of ticketIds) {
+    try {
+      const ticketSnap = await db.collection("tickets").doc(ticketId).get();
+      if (!ticketSnap.exists) continue;
+
+      const ticket = ticketSnap.data();
+
+      const emailPayload = new Brevo.SendSmtpEmail();
+      emailPayload.subject = `🦅 Congratulations, You're ${eventDoc.name} certified!`;
+      emailPayload.sender = {
+        name: "Airticks Events",
+        email: process.env.EMAIL_FROM,
+      };
+
+      emailPayload.to = [
+        {
+          email: ticket.email,
+          name: ticket.buyerName,
+        },
+      ];
+
+      const artifacts = await buildTicketArtifacts({ ticketId, ticket, event: eventDoc });
+      emailPayload.attachment = artifacts.attachments;
+
+      const intro = ticket.isBuyer
+        ? `
+          <p>Thank you for purchasing your ticket${quote.quantity > 1 ? "s" : ""} for <b>${eventDoc.name}</b>.</p>
+          <p>Your personal ticket is attached below.</p>
+          <p>Ticket No: ${ticket.attendeeNumber}</p>
+        `
+        : `
+          <p><strong>${purchaserName}</strong> has purchased this ticket for you to attend <b>${eventDoc.name}</b>.</p>
+          <p>This ticket is registered in your name and the QR code below is for your entry only.</p>
+        `;
+
+      emailPayload.htmlContent = `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+
+          <h2 style="text-align:center;">🦅 Your ticket to the ${eventDoc.name} Experience is ready!</h2>
+
+          <p>Hello <strong>${ticket.buyerName}</strong>,</p>
+
+          ${intro}
+
+          <div style="text-align:center;margin:20px 0;">
+            <img
+              src="data:image/png;base64,${ticket.qr}"
+              width="250"
+              style="border:2px solid #ff8c00;padding:10px;border-radius:8px;"
+            />
+          </div>
+
+          <table style="width:100%;border-collapse:collapse;">
+            <tr>
+              <td><strong>Attendee</strong></td>
+              <td>${ticket.buyerName}</td>
+            </tr>
+
+            ${
+              !ticket.isBuyer
+                ? `
+                <tr>
+                  <td><strong>Purchased By</strong></td>
+                  <td>${purchaserName}</td>
+                </tr>
+              `
+                : ""
+            }
+
+            <tr>
+              <td><strong>Event:</strong></td>
+              <td>${eventDoc.name}</td>
+            </tr>
+
+            <tr>
+              <td><strong>Location:</strong></td>
+              <td>${ticket.location}</td>
+            </tr>
+
+            <tr>
+              <td><strong>Direction:</strong></td>
+              <td>${ticket.map}</td>
+            </tr>
+
+            <tr>
+            <td><strong>TicketType</strong>
+            <td>${ticket.ticketType}</td>
+            </tr>
+
+            <tr>
+              <td><strong>Ticket Reference:</strong></td>
+              <td>${ticketId}</td>
+            </tr>
+          </table>
+
+          ${renderOrderSummary(quote)}
+
+          ${renderTicketLinks(ticketId, ticket, artifacts)}
+
+          <p style="margin-top:20px;font-size:12px;color:#777;text-align:center;">
+            ⏰ Please arrive at least 15 minutes before the event starts and present this QR code at the entrance.
+          </p>
+
+        </div>
+      `;
+
+      await emailApi.sendTransacEmail(emailPayload);
+
+      console.log(`📧 Ticket email sent to ${ticket.email}`);
+    } catch (emailErr) {
+      console.error(
+        "❌ Error sending ticket email to",
+        attendee.email,
+        emailErr
+      );
+    }
+  }
+}
+
+/* =======================
+   STAFF INVITES
+======================= */
+export const sendStaffInviteEmail = async ({ invite, event, invitedByName }) => {
+  const emailPayload = new Brevo.SendSmtpEmail()
+  const roleLabel = invite.role === 'supervisor' ? 'a check-in supervisor' : 'a ticket scanner'
+
+  emailPayload.subject = `You've been added to the ${event.name} door team`
+  emailPayload.sender = {
+    name: 'Airticks Events',
+    email: process.env.EMAIL_FROM
+  }
+  emailPayload.to = [{ email: invite.email }]
+  emailPayload.htmlContent = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+      <h2 style="text-align:center;">🎟️ Join the door team for ${event.name}</h2>
+
+      <p><strong>${invitedByName}</strong> has invited you to check guests in at <b>${event.name}</b> as ${roleLabel}.</p>
+
+      <p>Sign in to Airticks with <strong>${invite.email}</strong> and accept the invite to start scanning tickets.</p>
+
+      <p style="text-align:center;margin:24px 0;">
+        <a href="${process.env.FRONTEND_URL}/staff-invites/${invite.id}"
+           style="background:#ff8c00;color:#fff;padding:12px 20px;border-radius:8px;text-decoration:none;">
+          Accept invite
+        </a>
+      </p>
+    </div>
+  `
+
+  await emailApi.sendTransacEmail(emailPayload)
+}
+
+/* =======================
+   REISSUED TICKETS
+   After an event's signing keys are revoked every ticket gets a new QR
+   code; each holder is sent theirs so the old one isn't used at the door
+======================= */
+export const sendTicketReissuedEmails = async ({ tickets, event }) => {
+  for (const { ticketId, ticket } of tickets) {
+    try {
+      const emailPayload = new Brevo.SendSmtpEmail()
+      emailPayload.subject = `🎟️ Your ${event.name} ticket has a new QR code`
+      emailPayload.sender = {
+        name: 'Airticks Events',
+        email: process.env.EMAIL_FROM
+      }
+      emailPayload.to = [{ email: ticket.attendeeEmail || ticket.email, name: ticket.attendeeName || ticket.buyerName }]
+
+      const artifacts = await buildTicketArtifacts({ ticketId, ticket, event })
+      emailPayload.attachment = artifacts.attachments
+      emailPayload.htmlContent = `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+          <h2 style="text-align:center;">🦅 Your ticket has been updated</h2>
+
+          <p>Hello <strong>${ticket.attendeeName || ticket.buyerName}</strong>,</p>
+          <p>For security, the organizer of <b>${event.name}</b> has re-issued all tickets. The QR code we sent you before
+             (and any copy in Apple or Google Wallet) no longer works. Please use this one at the entrance.</p>
+
+          <div style="text-align:center;margin:20px 0;">
+            <img src="data:image/png;base64,${ticket.qr}" width="250" style="border:2px solid #ff8c00;padding:10px;border-radius:8px;"/>
+          </div>
+
+          <table style="width:100%;border-collapse:collapse;">
+            <tr>
+              <td><strong>Ticket Type:</strong></td>
+              <td>${ticket.ticketType}</td>
+            </tr>
+            <tr>
+              <td><strong>Ticket Reference:</strong></td>
+              <td>${ticketId}</td>
+            </tr>
+          </table>
+
+          ${renderTicketLinks(ticketId, ticket, artifacts)}
+        </div>
+      `
+
+      await emailApi.sendTransacEmail(emailPayload)
+    } catch (err) {
+      console.error('❌ Reissued ticket email error:', ticketId, err)
+    }
+  }
+}
+
+/* =======================
+   TICKET TRANSFERS
+   The new holder gets the re-issued ticket; the previous holder is told
+   their QR code no longer works
+======================= */
+export const sendTicketTransferEmails = async ({ ticketId, ticket, event, from, to }) => {
+  const sender = {
+    name: 'Airticks Events',
+    email: process.env.EMAIL_FROM
+  }
+
+  const toNewHolder = new Brevo.SendSmtpEmail()
+  toNewHolder.subject = `🎟️ ${from.name} sent you a ticket to ${event.name}`
+  toNewHolder.sender = sender
+  toNewHolder.to = [{ email: to.email, name: to.name }]
+  const artifacts = await buildTicketArtifacts({ ticketId, ticket, event })
+  toNewHolder.attachment = artifacts.attachments
+  toNewHolder.htmlContent = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+      <h2 style="text-align:center;">🦅 You have a ticket to ${event.name}</h2>
+
+      <p>Hello <strong>${to.name}</strong>,</p>
+      <p><strong>${from.name}</strong> has transferred their ticket for <b>${event.name}</b> to you.</p>
+
+      <div style="text-align:center;margin:20px 0;">
+        <img src="data:image/png;base64,${ticket.qr}" width="250" style="border:2px solid #ff8c00;padding:10px;border-radius:8px;"/>
+      </div>
+
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td><strong>Event:</strong></td>
+          <td>${event.name}</td>
+        </tr>
+        <tr>
+          <td><strong>Location:</strong></td>
+          <td>${ticket.location}</td>
+        </tr>
+        <tr>
+          <td><strong>Ticket Type:</strong></td>
+          <td>${ticket.ticketType}</td>
+        </tr>
+        <tr>
+          <td><strong>Ticket Reference:</strong></td>
+          <td>${ticketId}</td>
+        </tr>
+      </table>
+
+      ${renderTicketLinks(ticketId, ticket, artifacts)}
+
+      <p style="margin-top:20px;font-size:12px;color:#777;text-align:center;">
+        This QR code is registered in your name. Present it at the entrance.
+      </p>
+    </div>
+  `
+
+  const toPreviousHolder = new Brevo.SendSmtpEmail()
+  toPreviousHolder.subject = `Your ${event.name} ticket has been transferred`
+  toPreviousHolder.sender = sender
+  toPreviousHolder.to = [{ email: from.email, name: from.name }]
+  toPreviousHolder.htmlContent = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+      <p>Hello <strong>${from.name}</strong>,</p>
+      <p>Your <b>${ticket.ticketType}</b> ticket for <b>${event.name}</b> (reference ${ticketId}) now belongs to <strong>${to.name}</strong>.</p>
+      <p>The QR code we sent you before no longer works. If you didn't ask for this, reply to this email straight away.</p>
+    </div>
+  `
+
+  for (const payload of [toNewHolder, toPreviousHolder]) {
+    try {
+      await emailApi.sendTransacEmail(payload)
+    } catch (err) {
+      console.error('❌ Transfer email error:', payload.to[0].email, err)
+    }
+  }
+}
+
+/* =======================
+   GUEST ACCESS
+======================= */
+export const sendGuestAccessEmail = async ({ email, link }) => {
+  const emailPayload = new Brevo.SendSmtpEmail()
+
+  emailPayload.subject = 'Your Airticks tickets'
+  emailPayload.sender = {
+    name: 'Airticks Events',
+    email: process.env.EMAIL_FROM
+  }
+  emailPayload.to = [{ email }]
+  emailPayload.htmlContent = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+      <h2 style="text-align:center;">🎟️ View your tickets</h2>
+
+      <p>Use the button below to see your orders and tickets, download them or have them emailed again.</p>
+
+      <p style="text-align:center;margin:24px 0;">
+        <a href="${link}"
+           style="background:#ff8c00;color:#fff;padding:12px 20px;border-radius:8px;text-decoration:none;">
+          View my tickets
+        </a>
+      </p>
+
+      <p style="font-size:12px;color:#777;">This link works for 24 hours. If you didn't ask for it, you can ignore this email.</p>
+    </div>
+  `
+
+  await emailApi.sendTransacEmail(emailPayload)
+}
+
+/* =======================
+   WAITLIST OFFERS
+======================= */
+export const sendWaitlistOfferEmail = async ({ entry, event, link }) => {
+  const emailPayload = new Brevo.SendSmtpEmail()
+  const expiresAt = entry.offerExpiresAt.toDate().toLocaleString('en-NG', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: event.timezone || 'Africa/Lagos'
+  })
+
+  emailPayload.subject = `🎟️ Tickets for ${event.name} are available for you`
+  emailPayload.sender = {
+    name: 'Airticks Events',
+    email: process.env.EMAIL_FROM
+  }
+  emailPayload.to = [{ email: entry.email, name: entry.name || undefined }]
+  emailPayload.htmlContent = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
+      <h2 style="text-align:center;">🦅 You're off the waitlist</h2>
+
+      <p>Hello${entry.name ? ` <strong>${entry.name}</strong>` : ''},</p>
+      <p>We're holding <b>${entry.offerQuantity} ${entry.ticketName}</b> ticket${entry.offerQuantity > 1 ? 's' : ''} for <b>${event.name}</b> for you.</p>
+
+      <p style="text-align:center;margin:24px 0;">
+        <a href="${link}"
+           style="background:#ff8c00;color:#fff;padding:12px 20px;border-radius:8px;text-decoration:none;">
+          Get my tickets
+        </a>
+      </p>
+
+      <p style="font-size:12px;color:#777;">This offer is held until <b>${expiresAt}</b>. After that, the tickets go to the next person on the waitlist.</p>
+    </div>
+  `
+
+  await emailApi.sendTransacEmail(emailPayload)
+}
@@ -0,0 +1,138 @@
+import { admin, db } from './firebase.js'
+import { badRequest, notFound } from './errors.js'
+import { getTicketField, getTicketList } from './pricing.js'
+
+/* =======================
+   ENTRY POLICIES
+   Set per ticket type as `entryPolicy` on the event's ticket list:
+     { type: 'single' }                                one entry (default)
+     { type: 'multi', maxEntries: 3 }                  up to N entries
+     { type: 'daily', startDate, endDate }             one entry per day, YYYY-MM-DD inclusive
+     { type: 'reentry', maxEntries? }                  check in / check out, capped at maxEntries if set
+   Days are counted in the event's timezone (event.timezone, Lagos by default).
+   A ticket's entry state lives on the ticket:
+     { entryCount, entryDays: ['2025-03-01'], inside }
+======================= */
+
+export const ENTRY_POLICY_TYPES = ['single', 'multi', 'daily', 'reentry']
+
+export const DEFAULT_TIMEZONE = 'Africa/Lagos'
+
+const SINGLE_ENTRY = { type: 'single' }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/** The policy for a ticket type, or single entry if it has none. */
+export const entryPolicyFor = (event, ticketTypeId) =>
+  getTicketList(event).find(ticket => ticket.id === ticketTypeId)?.entryPolicy || SINGLE_ENTRY
+
+/** Validate a policy from the request body into its stored form. */
+export const parseEntryPolicy = input => {
+  const type = input?.type || 'single'
+  if (!ENTRY_POLICY_TYPES.includes(type)) {
+    throw badRequest(`type must be one of ${ENTRY_POLICY_TYPES.join(', ')}`)
+  }
+
+  const maxEntries = input?.maxEntries === undefined || input.maxEntries === null
+    ? null
+    : Number(input.maxEntries)
+  if (maxEntries !== null && (!Number.isInteger(maxEntries) || maxEntries < 1)) {
+    throw badRequest('maxEntries must be a whole number of at least 1')
+  }
+
+  if (type === 'single') return SINGLE_ENTRY
+
+  if (type === 'multi') {
+    if (maxEntries === null) throw badRequest('maxEntries is required for multi-entry tickets')
+    return { type, maxEntries }
+  }
+
+  if (type === 'daily') {
+    const { startDate, endDate } = input
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      throw badRequest('startDate and endDate must be dates, e.g. 2025-03-01')
+    }
+    if (startDate > endDate) throw badRequest('startDate must be on or before endDate')
+    return { type, startDate, endDate }
+  }
+
+  return { type, maxEntries }
+}
+
+export const setEntryPolicy = async ({ eventId, ticketTypeId, input }) => {
+  const policy = parseEntryPolicy(input)
+  const eventRef = db.collection('events').doc(eventId)
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(eventRef)
+    const event = snap.data()
+    const ticketList = getTicketList(event)
+    if (!ticketList.some(ticket => ticket.id === ticketTypeId)) throw notFound('Ticket type not found')
+
+    tx.update(eventRef, {
+      [getTicketField(event)]: ticketList.map(ticket =>
+        ticket.id === ticketTypeId ? { ...ticket, entryPolicy: policy } : ticket
+      ),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  })
+
+  return policy
+}
+
+// YYYY-MM-DD of an instant in a timezone
+const localDay = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(date)
+
+export const entryStateOf = ticket => ({
+  entryCount: ticket.entryCount ?? (ticket.used ? 1 : 0),
+  entryDays: ticket.entryDays || [],
+  inside: ticket.inside === true
+})
+
+/**
+ * Apply one scan to a ticket's entry state.
+ * `action` is 'check_in' (default) or 'check_out'; only re-entry
+ * tickets can be checked out. Returns { result } for a rejection, or
+ * { result, update } with the ticket fields to write.
+ */
+export const evaluateEntry = ({ policy, ticket, scannedAt, action = 'check_in', timeZone = DEFAULT_TIMEZONE }) => {
+  const state = entryStateOf(ticket)
+  const admit = extra => ({
+    result: 'admitted',
+    update: {
+      used: true,
+      entryCount: state.entryCount + 1,
+      ...extra
+    }
+  })
+
+  if (action === 'check_out') {
+    if (policy.type !== 'reentry') return { result: 'check_out_not_allowed' }
+    if (!state.inside) return { result: 'not_inside' }
+    return { result: 'checked_out', update: { inside: false } }
+  }
+
+  switch (policy.type) {
+    case 'multi':
+      if (state.entryCount >= policy.maxEntries) return { result: 'entries_exhausted' }
+      return admit()
+
+    case 'daily': {
+      const day = localDay(scannedAt, timeZone)
+      if (day < policy.startDate || day > policy.endDate) return { result: 'not_valid_today' }
+      if (state.entryDays.includes(day)) return { result: 'used_today' }
+      return admit({ entryDays: [...state.entryDays, day] })
+    }
+
+    case 'reentry':
+      if (state.inside) return { result: 'already_inside' }
+      if (policy.maxEntries && state.entryCount >= policy.maxEntries) return { result: 'entries_exhausted' }
+      return admit({ inside: true })
+
+    default:
+      if (state.entryCount > 0) return { result: 'duplicate' }
+      return admit()
+  }
+}
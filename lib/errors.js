@@ -0,0 +1,17 @@
+/* =======================
+   HTTP ERRORS
+   Thrown from lib/ helpers so routes can map them to a status code
+======================= */
+export class HttpError extends Error {
+  constructor (status, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+export const badRequest = message => new HttpError(400, message)
+export const notFound = message => new HttpError(404, message)
+export const forbidden = message => new HttpError(403, message)
+export const conflict = message => new HttpError(409, message)
+export const tooManyRequests = message => new HttpError(429, message)
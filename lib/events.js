@@ -0,0 +1,30 @@
+import { db } from './firebase.js'
+import { forbidden, notFound } from './errors.js'
+
+/**
+ * Load an event and make sure the signed-in user owns it (admins pass too).
+ * `user` is the `req.user` set by the authenticate middleware.
+ */
+export const getOwnedEvent = async (eventId, user) => {
+  const eventSnap = await db.collection('events').doc(eventId).get()
+  if (!eventSnap.exists) throw notFound('Event not found')
+
+  const event = eventSnap.data()
+  if (event.ownerId !== user.uid && !user.isAdmin) {
+    throw forbidden('Only the event organizer can do this')
+  }
+
+  return { eventSnap, event }
+}
+
+/**
+ * When the event starts, or null if the event has no usable start time.
+ * Events store it as a Timestamp or an ISO string under one of a few names.
+ */
+export const eventStartsAt = event => {
+  const value = event.startsAt ?? event.startDate ?? event.date
+  if (!value) return null
+
+  const date = value.toDate?.() || new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
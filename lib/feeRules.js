@@ -0,0 +1,113 @@
+import { admin, db } from './firebase.js'
+import { badRequest, notFound } from './errors.js'
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+
+/* =======================
+   PLATFORM FEE RULES
+   fee_rules/platform_default     applies to everything
+   fee_rules/organizer_{uid}      overrides it for one organizer
+   fee_rules/event_{eventId}      overrides both for one event
+   The most specific rule wins as a whole; rules are not merged.
+   { percentage, flat, cap, currency, payer: 'organizer' | 'buyer' }
+   `flat` and `cap` are in `currency`; orders in another currency only
+   pay the percentage. The fee itself is worked out in pricing.js.
+======================= */
+
+// What the webhook charged before rules existed
+const BUILT_IN_RULE = {
+  id: 'built_in',
+  scope: 'platform',
+  percentage: 8,
+  flat: 0,
+  cap: null,
+  currency: DEFAULT_CURRENCY,
+  payer: 'organizer'
+}
+
+const SCOPES = ['platform', 'organizer', 'event']
+const PAYERS = ['organizer', 'buyer']
+
+const rulesRef = () => db.collection('fee_rules')
+
+export const feeRuleId = (scope, targetId) =>
+  scope === 'platform' ? 'platform_default' : `${scope}_${targetId}`
+
+const serializeRule = doc => ({
+  id: doc.id,
+  ...doc.data(),
+  updatedAt: doc.data().updatedAt?.toDate?.() || null
+})
+
+/**
+ * The rule that applies to an event (or, without an eventId, to an
+ * organizer's subaccount).
+ */
+export const resolveFeeRule = async ({ eventId, organizerId } = {}) => {
+  const ids = [
+    eventId && feeRuleId('event', eventId),
+    organizerId && feeRuleId('organizer', organizerId),
+    feeRuleId('platform')
+  ].filter(Boolean)
+
+  const snaps = await db.getAll(...ids.map(id => rulesRef().doc(id)))
+  const match = snaps.find(snap => snap.exists)
+
+  return match ? serializeRule(match) : BUILT_IN_RULE
+}
+
+const toNumber = (value, label, { allowNull = false } = {}) => {
+  if (allowNull && (value === null || value === undefined || value === '')) return null
+  const number = Number(value ?? 0)
+  if (!Number.isFinite(number) || number < 0) throw badRequest(`Invalid ${label}`)
+  return number
+}
+
+export const saveFeeRule = async ({ scope, targetId, input, adminId }) => {
+  if (!SCOPES.includes(scope)) throw badRequest('scope must be platform, organizer or event')
+  if (scope !== 'platform' && !targetId) throw badRequest('targetId is required for this scope')
+
+  const percentage = toNumber(input.percentage, 'percentage')
+  if (percentage > 100) throw badRequest('percentage cannot exceed 100')
+
+  const payer = input.payer || 'organizer'
+  if (!PAYERS.includes(payer)) throw badRequest('payer must be organizer or buyer')
+
+  if (scope === 'event') {
+    const eventSnap = await db.collection('events').doc(targetId).get()
+    if (!eventSnap.exists) throw notFound('Event not found')
+  }
+
+  const id = feeRuleId(scope, targetId)
+  const rule = {
+    scope,
+    targetId: scope === 'platform' ? null : targetId,
+    percentage,
+    flat: toNumber(input.flat, 'flat'),
+    cap: toNumber(input.cap, 'cap', { allowNull: true }),
+    currency: normalizeCurrency(input.currency),
+    payer,
+    updatedBy: adminId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }
+
+  await rulesRef().doc(id).set(rule)
+
+  return { id, ...rule, updatedAt: new Date() }
+}
+
+export const listFeeRules = async () => {
+  const snap = await rulesRef().get()
+  return { rules: snap.docs.map(serializeRule), builtIn: BUILT_IN_RULE }
+}
+
+/**
+ * Remove an organizer or event override. The platform default can only
+ * be changed, not removed.
+ */
+export const deleteFeeRule = async id => {
+  if (id === feeRuleId('platform')) throw badRequest('The platform default cannot be deleted')
+
+  const ref = rulesRef().doc(id)
+  if (!(await ref.get()).exists) throw notFound('Fee rule not found')
+  await ref.delete()
+}
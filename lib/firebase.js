@@ -0,0 +1,13 @@
+import 'dotenv/config'
+import admin from 'firebase-admin'
+
+/* =======================
+   FIREBASE ADMIN
+======================= */
+if (!admin.apps.length) {
+  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) })
+}
+
+export const db = admin.firestore()
+export { admin }
@@ -0,0 +1,498 @@
+import { admin, db } from './firebase.js'
+import { HttpError, conflict, notFound } from './errors.js'
+import { flattenAttendees } from './cart.js'
+import { claimSeats } from './inventory.js'
+import { redeemPromoCode } from './promoCodes.js'
+import { sendPaidTicketEmails } from './email.js'
+import { formatMoney, fromMinor, roundMoney } from './currency.js'
+import { ACCOUNTS, postJournal } from './ledger.js'
+import { getTicketSigner, issueTicketQr } from './ticketTokens.js'
+import { markWaitlistConverted } from './waitlist.js'
+
+/* =======================
+   ORDER FULFILMENT
+   Issues tickets for a successful charge. Shared by the provider webhooks
+   and the verify-by-reference fallback, so both go through the same
+   duplicate guard.
+
+   payment_idempotency/{reference}
+     received -> processing -> completed | failed
+   `completed` is only ever written inside the transaction that issues
+   the tickets, so two deliveries of one charge can't both issue them.
+======================= */
+
+// Processing this long without finishing is reported as stuck
+const STUCK_AFTER_MS = 10 * 60 * 1000
+
+// Paid orders that got no tickets; they wait for an admin to refund them
+export const UNFULFILLED_STATUSES = ['needs_refund', 'amount_mismatch']
+
+const idempotencyRef = reference => db.collection('payment_idempotency').doc(reference)
+
+/**
+ * Move a record to `status`. Never moves it off `completed`, so a late
+ * or failing delivery can't reopen a reference that already has tickets.
+ */
+const markState = (reference, status, extra = {}) =>
+  db.runTransaction(async tx => {
+    const ref = idempotencyRef(reference)
+    const snap = await tx.get(ref)
+    if (snap.data()?.status === 'completed') return false
+
+    tx.set(ref, {
+      status,
+      [`${status}At`]: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...extra
+    }, { merge: true })
+    return true
+  })
+
+/**
+ * Fulfil a successful charge. `charge` is the normalised charge a provider
+ * adapter returns from parseWebhook or verifyPayment.
+ * `source` is recorded for admins: 'webhook', 'verify' or 'replay'.
+ *
+ * @returns {Promise<{ status: string }>} 'fulfilled', or why nothing was issued
+ */
+export const fulfillCharge = async (charge, { source = 'webhook' } = {}) => {
+  const { reference } = charge
+
+  const received = await markState(reference, 'received', {
+    reference,
+    source,
+    charge,
+    attempts: admin.firestore.FieldValue.increment(1)
+  })
+
+  if (!received) return { status: 'duplicate' }
+
+  let result
+  try {
+    result = await processCharge(charge)
+  } catch (err) {
+    await markState(reference, 'failed', { error: err.message })
+    throw err
+  }
+
+  // Terminal outcomes that issue nothing are completed outside the sale
+  if (!['fulfilled', 'duplicate'].includes(result.status)) {
+    await markState(reference, 'completed', { outcome: result.status })
+  }
+
+  return result
+}
+
+/**
+ * Park a paid order that can't get tickets and tell the platform admins
+ * and the organizer. It shows up in listUnfulfilledOrders until refunded.
+ */
+const flagUnfulfilled = async (orderRef, order, { status, failureReason, ...details }) => {
+  await orderRef.set({
+    status,
+    failureReason,
+    ...details,
+    flaggedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true })
+
+  const eventSnap = await db.collection('events').doc(order.eventId).get()
+  const organizerId = eventSnap.data()?.ownerId || null
+  const title = status === 'amount_mismatch' ? '⚠️ Payment Amount Mismatch' : '⚠️ Paid Order Needs Refund'
+  const message = `Order ${orderRef.id} was paid but no tickets were issued (${failureReason}). It needs a refund.`
+
+  const batch = db.batch()
+  for (const userId of ['platform', organizerId].filter(Boolean)) {
+    batch.set(db.collection('notifications').doc(), {
+      type: 'order_unfulfilled',
+      title,
+      message,
+      userId,
+      eventId: order.eventId,
+      reference: orderRef.id,
+      read: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  }
+  await batch.commit()
+}
+
+/**
+ * A charge whose reference matches no order: nothing can be issued or
+ * refunded through the order flow, so it is kept for an admin to refund
+ * with the provider by hand.
+ */
+const recordUnmatchedCharge = async charge => {
+  const { reference } = charge
+
+  await db.collection('unmatched_charges').doc(reference).set({
+    reference,
+    provider: charge.provider || 'paystack',
+    providerTransactionId: charge.providerTransactionId ?? null,
+    amountMinor: charge.amountMinor ?? null,
+    currency: charge.currency || null,
+    email: charge.customer?.email?.toLowerCase() || null,
+    metadata: charge.metadata || null,
+    status: 'needs_refund',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true })
+
+  await db.collection('notifications').add({
+    type: 'charge_unmatched',
+    title: '⚠️ Payment With No Order',
+    message: `Charge ${reference} was paid but matches no order. It needs a manual refund.`,
+    userId: 'platform',
+    reference,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+const processCharge = async charge => {
+  const { reference, metadata, customer, amountMinor: amount, provider = 'paystack' } = charge
+
+  /* =========================
+     MATCH AGAINST STORED QUOTE
+  ========================== */
+  const orderRef = db.collection('orders').doc(reference)
+  const orderSnap = await orderRef.get()
+
+  if (!orderSnap.exists) {
+    console.error('❌ No checkout quote stored for reference:', reference)
+    await recordUnmatchedCharge(charge)
+    return { status: 'unknown_order' }
+  }
+
+  const order = orderSnap.data()
+  const { quote } = order
+
+  // A charge in the wrong currency is as wrong as one for the wrong amount
+  const paidCurrency = charge.currency || quote.currency
+
+  if (amount !== quote.amountMinor || paidCurrency !== quote.currency) {
+    console.error(
+      `❌ Amount mismatch for ${reference}: paid ${amount} ${paidCurrency}, quoted ${quote.amountMinor} ${quote.currency}`
+    )
+    await flagUnfulfilled(orderRef, order, {
+      status: 'amount_mismatch',
+      failureReason: `paid ${formatMoney(fromMinor(amount, paidCurrency), paidCurrency)}, quoted ${formatMoney(fromMinor(quote.amountMinor, quote.currency), quote.currency)}`,
+      paidAmountMinor: amount,
+      paidCurrency
+    })
+    return { status: 'amount_mismatch' }
+  }
+
+  const { currency } = quote
+  const paidAmount = fromMinor(amount, currency)
+  // The fee rule was applied when the quote was built; orders quoted before
+  // fee rules existed keep the old flat 8%
+  const platformFee = quote.platformFee
+    ? quote.platformFee.amount
+    : roundMoney(paidAmount * 0.08, currency)
+  const organizerAmount = roundMoney(paidAmount - platformFee, currency)
+
+  /* =========================
+     FETCH EVENT
+  ========================== */
+  const eventRef = db.collection('events').doc(order.eventId)
+  const eventSnap = await eventRef.get()
+  if (!eventSnap.exists) {
+    await flagUnfulfilled(orderRef, order, { status: 'needs_refund', failureReason: 'the event no longer exists' })
+    return { status: 'event_not_found' }
+  }
+
+  const eventDoc = eventSnap.data()
+  const organizerId = eventDoc.ownerId
+  const ticketQty = quote.quantity
+  const purchaserName = metadata?.fullName || order.name || customer?.name || "Guest"
+  // Not every adapter's charge carries the customer's email
+  const purchaserEmail = (customer?.email || order.email).toLowerCase()
+
+  /* =========================
+     ATTENDEES FROM THE STORED CART
+  ========================== */
+  const orderAttendees = flattenAttendees(order.items, quote)
+
+  await markState(reference, 'processing')
+
+  /* ============================================================
+     ⚡ PERFORMANCE OPTIMIZATION: PRE-GENERATE TICKET IDS & QR CODES
+     (Keeps the Firestore Transaction lightweight and deterministic)
+  ============================================================ */
+  const preparedTickets = [];
+  const ticketIds = [];
+  const signer = await getTicketSigner(order.eventId)
+
+  for (const [index, { attendee, line }] of orderAttendees.entries()) {
+    const ticketRef = db.collection('tickets').doc();
+    const ticketId = ticketRef.id;
+
+    // The QR carries a token signed with the event's key, not the bare id
+    const qrFields = await issueTicketQr(signer, { ticketId, ticketTypeId: line.ticketId })
+
+    preparedTickets.push({
+      ticketRef,
+      ticketId,
+      index,
+      attendee,
+      line,
+      qrFields
+    });
+
+    ticketIds.push({ ticketId, attendee });
+  }
+
+  /* ============================================================
+     💼 TRANSACTION WORKFLOW (WALLETS, COUNT, & DATA WRITE)
+  ============================================================ */
+  let issued
+  try {
+    issued = await db.runTransaction(async tx => {
+      // Claim the reference first: a concurrent delivery that already
+      // completed it makes this one a no-op
+      const idempotencySnap = await tx.get(idempotencyRef(reference))
+      if (idempotencySnap.data()?.status === 'completed') return false
+
+      // Promo usage and seat inventory are checked in the same transaction as the sale
+      const applyPromo = quote.discount
+        ? await redeemPromoCode(tx, {
+            discount: quote.discount,
+            reference,
+            email: order.email,
+            userId: order.userId
+          })
+        : null;
+
+      const seats = await claimSeats(tx, {
+        eventRef,
+        reference,
+        lines: quote.items.map(({ ticketId, quantity }) => ({ ticketId, quantity }))
+      });
+
+      const currentCount = seats.event.attendeeCount || 0;
+
+      applyPromo?.();
+      seats.apply();
+      if (order.waitlistEntryId) markWaitlistConverted(tx, order.waitlistEntryId, reference);
+
+      // Platform fee and organizer share, in the order's currency
+      const journalId = postJournal(tx, {
+        id: `sale_${reference}`,
+        type: 'ticket_sale',
+        currency,
+        reference,
+        eventId: order.eventId,
+        lines: [
+          { account: ACCOUNTS.clearing(provider), debit: paidAmount },
+          { account: ACCOUNTS.platformRevenue, credit: platformFee },
+          { account: ACCOUNTS.pending(organizerId), credit: organizerAmount }
+        ]
+      });
+
+      tx.set(orderRef, {
+        status: 'paid',
+        provider,
+        providerTransactionId: charge.providerTransactionId ?? null,
+        paidAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      // Write batch tickets
+      for (const item of preparedTickets) {
+
+        const attendeeNumber = currentCount + item.index + 1;
+
+        tx.set(item.ticketRef, {
+          ticketId: item.ticketId,
+          reference,
+          parentReference: reference,
+          ticketIndex: item.index,
+
+          organizerId,
+          userId: order.userId || null,
+
+          eventId: order.eventId,
+          eventName: eventDoc.name,
+          ticketType: item.line.name,
+          ticketTypeId: item.line.ticketId,
+          ticketQuantity:ticketQty,
+          totalTickets:orderAttendees.length,
+          location: eventDoc.venue.name || "TBA",
+          map: eventDoc.venue.map,
+          currency: quote.currency,
+          provider,
+
+          amount: item.line.unitPrice,
+
+          // Unified field naming matching frontend lookups & verification schemas
+          buyerName: item.attendee.name,
+          email: item.attendee.email.toLowerCase(),
+
+          attendeeName: item.attendee.name,
+          attendeeEmail: item.attendee.email.toLowerCase(),
+          attendeeNumber,
+
+          purchaserName,
+          purchaserEmail,
+
+          isBuyer: item.attendee.isBuyer || false,
+          organizer: eventDoc.organizer,
+
+          ...item.qrFields,
+          status: "success",
+          used: false,
+
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      /* =========================
+         WALLET LEDGER
+      ========================== */
+      tx.set(db.collection('wallet_transactions').doc(), {
+        reference,
+        eventId: order.eventId,
+        eventName: eventDoc.name,
+        organizerId,
+        journalId,
+        amount: paidAmount,
+        grossAmount: paidAmount,
+        platformFee,
+        feeRuleId: quote.platformFee?.ruleId || null,
+        feePayer: quote.platformFee?.payer || 'organizer',
+        organizerAmount,
+        currency,
+        type: 'ticket_sale',
+        provider,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      tx.set(idempotencyRef(reference), {
+        status: 'completed',
+        outcome: 'fulfilled',
+        ticketCount: preparedTickets.length,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return true
+    });
+  } catch (err) {
+    if (!(err instanceof HttpError)) throw err
+
+    // e.g. a limited promo code ran out, or the hold expired and the
+    // tickets sold out while this buyer was paying
+    console.error(`❌ Order ${reference} rejected after payment:`, err.message)
+    await flagUnfulfilled(orderRef, order, { status: 'needs_refund', failureReason: err.message })
+    return { status: 'needs_refund' }
+  }
+
+  if (!issued) {
+    console.log('⚠️ Duplicate charge for reference:', reference)
+    return { status: 'duplicate' }
+  }
+
+  await db.collection('notifications').add({
+    type: 'ticket_purchase',
+    title: '🎫 New Tickets Sold',
+    message: `${purchaserName} bought ${ticketQty} ticket(s) for ${eventDoc.name}`,
+    userId: organizerId,
+    actorId: purchaserEmail,
+    eventId: order.eventId,
+    location: eventDoc.location || 'TBA',
+    amount: paidAmount,
+    currency,
+    reference: reference,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  // Send emails with QR codes to all attendees (non-blocking)
+  setImmediate(() => sendPaidTicketEmails({ ticketIds, eventDoc, quote, purchaserName }))
+
+  console.log(`✅ Created ${orderAttendees.length} individual ticket(s) with QR codes`)
+
+  return { status: 'fulfilled' }
+}
+
+const serializeRecord = doc => {
+  const data = doc.data()
+  const processingAt = data.processingAt?.toMillis() || 0
+
+  return {
+    reference: doc.id,
+    status: data.status,
+    outcome: data.outcome || null,
+    source: data.source || null,
+    attempts: data.attempts || 0,
+    error: data.error || null,
+    stuck: data.status === 'processing' && Date.now() - processingAt > STUCK_AFTER_MS,
+    updatedAt: data.updatedAt?.toDate() || null
+  }
+}
+
+/**
+ * Idempotency records for the admin view. Without a status, lists the
+ * ones that need attention: failed, plus anything not yet completed.
+ */
+export const listChargeRecords = async ({ status, limit = 50 } = {}) => {
+  const statuses = status ? [status] : ['received', 'processing', 'failed']
+
+  const snap = await db
+    .collection('payment_idempotency')
+    .where('status', 'in', statuses)
+    .limit(limit)
+    .get()
+
+  return snap.docs.map(serializeRecord)
+}
+
+/**
+ * Paid orders that never got tickets, oldest first, for the admin view.
+ * Refunding one (createRefund) moves it out of the list. Charges with no
+ * order at all come alongside as `unmatchedCharges`.
+ */
+export const listUnfulfilledOrders = async ({ limit = 50 } = {}) => {
+  const [snap, unmatchedSnap] = await Promise.all([
+    db.collection('orders').where('status', 'in', UNFULFILLED_STATUSES).limit(limit).get(),
+    db.collection('unmatched_charges').where('status', '==', 'needs_refund').limit(limit).get()
+  ])
+
+  const orders = snap.docs
+    .map(doc => ({
+      reference: doc.id,
+      eventId: doc.data().eventId,
+      email: doc.data().email,
+      status: doc.data().status,
+      failureReason: doc.data().failureReason || null,
+      provider: doc.data().provider || null,
+      quote: doc.data().quote,
+      paidAmountMinor: doc.data().paidAmountMinor ?? null,
+      paidCurrency: doc.data().paidCurrency || null,
+      flaggedAt: doc.data().flaggedAt?.toDate() || doc.data().updatedAt?.toDate() || null
+    }))
+    .sort((a, b) => (a.flaggedAt?.getTime() || 0) - (b.flaggedAt?.getTime() || 0))
+
+  const unmatchedCharges = unmatchedSnap.docs.map(doc => ({
+    ...doc.data(),
+    createdAt: doc.data().createdAt?.toDate() || null
+  }))
+
+  return { orders, unmatchedCharges }
+}
+
+/**
+ * Run a stored charge through fulfilment again.
+ */
+export const replayCharge = async reference => {
+  const snap = await idempotencyRef(reference).get()
+  if (!snap.exists) throw notFound('No charge recorded for this reference')
+  if (snap.data().status === 'completed') throw conflict('This charge is already completed')
+
+  // Charges stored before there were adapters are raw Paystack transactions
+  const { charge } = snap.data()
+  const normalized = charge.provider
+    ? charge
+    : { ...charge, provider: 'paystack', amountMinor: charge.amount, providerTransactionId: charge.id ?? null }
+
+  return fulfillCharge(normalized, { source: 'replay' })
+}
@@ -0,0 +1,75 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { HttpError, badRequest } from './errors.js'
+import { rateLimit } from './rateLimit.js'
+import { sendGuestAccessEmail } from './email.js'
+
+/* =======================
+   GUEST ACCESS (MAGIC LINKS)
+   Buyers who checked out without an account ask for a link by email.
+   guest_access/{sha256(token)}: { email, createdAt, expiresAt, lastUsedAt }
+   The token in the link acts for that email until it expires: the
+   client sends it as the X-Guest-Token header.
+======================= */
+
+const LINK_TTL_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const accessRef = token =>
+  db.collection('guest_access').doc(crypto.createHash('sha256').update(token).digest('hex'))
+
+const hasPurchases = async email => {
+  const snaps = await Promise.all([
+    db.collection('orders').where('email', '==', email).limit(1).get(),
+    db.collection('tickets').where('attendeeEmail', '==', email).limit(1).get()
+  ])
+  return snaps.some(snap => !snap.empty)
+}
+
+/**
+ * Email a sign-in link to `email` if it has orders or tickets. The caller
+ * gets the same answer either way, so this can't be used to probe emails.
+ */
+export const requestGuestAccess = async ({ email, ip }) => {
+  const address = String(email || '').trim().toLowerCase()
+  if (!EMAIL_PATTERN.test(address)) throw badRequest('A valid email is required')
+
+  await rateLimit(`guest-access:ip:${ip}`, { limit: 10, windowMs: HOUR_MS, message: 'Too many link requests' })
+  await rateLimit(`guest-access:email:${address}`, { limit: 3, windowMs: HOUR_MS, message: 'Too many link requests' })
+
+  if (!(await hasPurchases(address))) return
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await accessRef(token).set({
+    email: address,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + LINK_TTL_MS)
+  })
+
+  setImmediate(() =>
+    sendGuestAccessEmail({
+      email: address,
+      link: `${process.env.FRONTEND_URL}/my-tickets?access=${token}`
+    }).catch(err => console.error('Guest access email error:', address, err))
+  )
+}
+
+/**
+ * The guest a magic-link token stands for, shaped like req.user.
+ */
+export const resolveGuestAccess = async token => {
+  const ref = accessRef(String(token))
+  const snap = await ref.get()
+  const access = snap.data()
+
+  if (!access || access.expiresAt.toMillis() <= Date.now()) {
+    throw new HttpError(401, 'This link has expired. Request a new one.')
+  }
+
+  ref.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+    .catch(err => console.error('Guest access touch error:', err))
+
+  return { uid: null, email: access.email, isAdmin: false, isGuest: true }
+}
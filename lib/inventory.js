@@ -0,0 +1,307 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { conflict, forbidden, notFound } from './errors.js'
+import { getTicketField, getTicketList, getTicketName } from './pricing.js'
+
+/* =======================
+   TICKET INVENTORY
+   Each ticket type tracks `sold` and `held` next to its capacity.
+   reservations/{reference} holds seats while the buyer is paying:
+   held -> converted (payment confirmed) | released (expired/abandoned)
+        -> transferred (handed to another reference, e.g. a waitlist
+           offer moving to the buyer's checkout)
+   Every hold gets a cancel token that only the buyer is handed; the
+   reservation keeps its sha256.
+======================= */
+
+export const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15
+
+/**
+ * Capacity of a ticket type, or null when the organizer set no limit.
+ * A tier's salesLimit (see salesTiers.js) caps it further.
+ */
+export const ticketCapacity = ticket => {
+  const limits = [ticket.capacity ?? ticket.quantity ?? ticket.total, ticket.salesLimit]
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(Number)
+  return limits.length ? Math.min(...limits) : null
+}
+
+export const availableSeats = ticket => {
+  const capacity = ticketCapacity(ticket)
+  if (capacity === null) return Infinity
+  return Math.max(0, capacity - (ticket.sold || 0) - (ticket.held || 0))
+}
+
+/**
+ * Apply `{ sold, held }` deltas per ticket id to an event's ticket list.
+ * Throws when a line needs more seats than are available.
+ */
+const adjustTickets = (ticketList, lines, { sold = 0, held = 0, checkAvailability = false }) =>
+  ticketList.map(ticket => {
+    const line = lines.find(l => l.ticketId === ticket.id)
+    if (!line) return ticket
+
+    if (checkAvailability) {
+      const left = availableSeats(ticket)
+      if (left < line.quantity) {
+        throw conflict(
+          left === 0
+            ? `${getTicketName(ticket)} is sold out`
+            : `Only ${left} ${getTicketName(ticket)} ticket(s) left`
+        )
+      }
+    }
+
+    return {
+      ...ticket,
+      sold: Math.max(0, (ticket.sold || 0) + sold * line.quantity),
+      held: Math.max(0, (ticket.held || 0) + held * line.quantity)
+    }
+  })
+
+const reservationRef = reference => db.collection('reservations').doc(reference)
+
+const hashCancelToken = token => crypto.createHash('sha256').update(token).digest('hex')
+
+const newCancelToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url')
+  return { cancelToken: token, cancelTokenHash: hashCancelToken(token) }
+}
+
+/**
+ * Place a hold on seats for a pending payment. Returns a function that
+ * applies the writes, so callers can finish all transaction reads first.
+ */
+export const holdSeats = async (tx, { eventRef, reference, lines, ttlMinutes = RESERVATION_TTL_MINUTES }) => {
+  const eventSnap = await tx.get(eventRef)
+  const event = eventSnap.data()
+  const ticketField = getTicketField(event)
+  const updatedTickets = adjustTickets(getTicketList(event), lines, {
+    held: 1,
+    checkAvailability: true
+  })
+
+  const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + ttlMinutes * 60 * 1000)
+  const { cancelToken, cancelTokenHash } = newCancelToken()
+
+  const apply = () => {
+    tx.update(eventRef, {
+      [ticketField]: updatedTickets,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.set(reservationRef(reference), {
+      reference,
+      eventId: eventRef.id,
+      items: lines.map(({ ticketId, quantity }) => ({ ticketId, quantity })),
+      status: 'held',
+      cancelTokenHash,
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  }
+
+  return { expiresAt, cancelToken, apply }
+}
+
+/**
+ * Move a held reservation to a new reference without touching the event's
+ * counts: the seats stay held, now for `toReference`, until `expiresAt`
+ * (a Timestamp; `ttlMinutes` from now by default). A pending order on the
+ * old reference is marked abandoned. Same read-then-apply shape.
+ */
+export const transferHold = async (tx, {
+  fromReference,
+  toReference,
+  ttlMinutes = RESERVATION_TTL_MINUTES,
+  expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + ttlMinutes * 60 * 1000)
+}) => {
+  const fromRef = reservationRef(fromReference)
+  const orderRef = db.collection('orders').doc(fromReference)
+  const [snap, orderSnap] = await Promise.all([tx.get(fromRef), tx.get(orderRef)])
+
+  if (snap.data()?.status !== 'held') throw conflict('These seats are no longer reserved')
+
+  const reservation = snap.data()
+  const { cancelToken, cancelTokenHash } = newCancelToken()
+
+  const apply = () => {
+    tx.update(fromRef, {
+      status: 'transferred',
+      transferredTo: toReference,
+      transferredAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.set(reservationRef(toReference), {
+      reference: toReference,
+      eventId: reservation.eventId,
+      items: reservation.items,
+      status: 'held',
+      transferredFrom: fromReference,
+      cancelTokenHash,
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    if (orderSnap.exists && orderSnap.data().status === 'pending') {
+      tx.update(orderRef, {
+        status: 'abandoned',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    }
+  }
+
+  return { items: reservation.items, expiresAt, cancelToken, apply }
+}
+
+/**
+ * Turn an order's seats into sales. Uses the reservation when it is still
+ * held; otherwise (free tickets, or a payment that landed after the hold
+ * expired) the seats must still be available.
+ *
+ * Returns the event as read in the transaction plus a function that
+ * applies the writes.
+ */
+export const claimSeats = async (tx, { eventRef, reference, lines }) => {
+  const [eventSnap, reservationSnap] = await Promise.all([
+    tx.get(eventRef),
+    tx.get(reservationRef(reference))
+  ])
+
+  const event = eventSnap.data()
+  const ticketField = getTicketField(event)
+  const isHeld = reservationSnap.exists && reservationSnap.data().status === 'held'
+  const quantity = lines.reduce((total, line) => total + line.quantity, 0)
+
+  const updatedTickets = adjustTickets(
+    getTicketList(event),
+    lines,
+    isHeld ? { sold: 1, held: -1 } : { sold: 1, checkAvailability: true }
+  )
+
+  const apply = () => {
+    tx.update(eventRef, {
+      [ticketField]: updatedTickets,
+      attendeeCount: (event.attendeeCount || 0) + quantity,
+      ticketSold: admin.firestore.FieldValue.increment(quantity),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    if (reservationSnap.exists) {
+      tx.update(reservationSnap.ref, {
+        status: 'converted',
+        convertedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    }
+  }
+
+  return { event, apply }
+}
+
+/**
+ * Put sold seats back on sale (refunds/cancellations). Same read-then-apply
+ * shape as claimSeats.
+ */
+export const returnSeats = async (tx, { eventRef, lines }) => {
+  const eventSnap = await tx.get(eventRef)
+  const event = eventSnap.data()
+  const quantity = lines.reduce((total, line) => total + line.quantity, 0)
+
+  const apply = () => {
+    if (!eventSnap.exists) return
+
+    tx.update(eventRef, {
+      [getTicketField(event)]: adjustTickets(getTicketList(event), lines, { sold: -1 }),
+      attendeeCount: Math.max(0, (event.attendeeCount || 0) - quantity),
+      ticketSold: admin.firestore.FieldValue.increment(-quantity),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  }
+
+  return { event, apply }
+}
+
+/**
+ * Give a held reservation's seats back. No-op unless it is still held.
+ */
+export const releaseReservation = async (reference, reason = 'expired') =>
+  db.runTransaction(async tx => {
+    const ref = reservationRef(reference)
+    const snap = await tx.get(ref)
+    if (!snap.exists || snap.data().status !== 'held') return false
+
+    const reservation = snap.data()
+    const eventRef = db.collection('events').doc(reservation.eventId)
+    const orderRef = db.collection('orders').doc(reference)
+    const [eventSnap, orderSnap] = await Promise.all([tx.get(eventRef), tx.get(orderRef)])
+
+    if (eventSnap.exists) {
+      const event = eventSnap.data()
+      tx.update(eventRef, {
+        [getTicketField(event)]: adjustTickets(getTicketList(event), reservation.items, { held: -1 }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    }
+
+    tx.update(ref, {
+      status: 'released',
+      releaseReason: reason,
+      releasedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    if (orderSnap.exists && orderSnap.data().status === 'pending') {
+      tx.update(orderRef, {
+        status: reason === 'expired' ? 'expired' : 'abandoned',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    }
+
+    return true
+  })
+
+/**
+ * Release a hold on the buyer's behalf. The caller proves it is theirs with
+ * the cancel token from checkout, or by being signed in as the order's user.
+ */
+export const cancelReservation = async ({ reference, token, uid }) => {
+  const [snap, orderSnap] = await Promise.all([
+    reservationRef(reference).get(),
+    db.collection('orders').doc(reference).get()
+  ])
+  if (!snap.exists) throw notFound('Reservation not found')
+
+  const reservation = snap.data()
+  const ownsByToken = Boolean(token) && reservation.cancelTokenHash === hashCancelToken(String(token))
+  const ownsByUser = Boolean(uid) && orderSnap.data()?.userId === uid
+  if (!ownsByToken && !ownsByUser) throw forbidden('You cannot cancel this reservation')
+
+  if (!(await releaseReservation(reference, 'abandoned'))) {
+    throw conflict('These seats are no longer reserved')
+  }
+
+  return true
+}
+
+/**
+ * Release every hold past its expiry. Run on a timer from server.js.
+ */
+export const releaseExpiredReservations = async (limit = 100) => {
+  const snap = await db
+    .collection('reservations')
+    .where('status', '==', 'held')
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+    .limit(limit)
+    .get()
+
+  let released = 0
+  for (const doc of snap.docs) {
+    try {
+      if (await releaseReservation(doc.id, 'expired')) released++
+    } catch (err) {
+      console.error('❌ Failed to release reservation', doc.id, err)
+    }
+  }
+
+  return released
+}
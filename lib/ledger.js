@@ -0,0 +1,386 @@
+import { admin, db } from './firebase.js'
+import { conflict } from './errors.js'
+import { DEFAULT_CURRENCY, minorDigits, normalizeCurrency, roundMoney } from './currency.js'
+import { adjustWallet, walletBalance, walletRef } from './wallets.js'
+
+/* =======================
+   DOUBLE-ENTRY LEDGER
+   ledger_entries/{id}: one balanced journal per money movement,
+   { type, currency, lines: [{ account, debit, credit }] }.
+   Accounts:
+     platform:revenue              platform wallet `balance`
+     platform:payouts              money the platform withdrew
+     organizer:{uid}:pending       sold, not yet settled by the provider
+     organizer:{uid}:settled       settled, withdrawable
+     organizer:{uid}:locked        requested for withdrawal
+     organizer:{uid}:payouts       paid out to the organizer's bank
+     clearing:{provider}           buyer money held by the provider
+     refunds                       money returned to buyers
+     suspense:settlements          settled past pendingBalance, awaiting review
+   postJournal is the only place wallet balances change; every wallet
+   field is (credits - debits) on its account, so a wallet can always be
+   rebuilt from its entries. wallet_transactions stays as the activity
+   feed and points at its journal with `journalId`.
+======================= */
+
+export const ACCOUNTS = {
+  platformRevenue: 'platform:revenue',
+  platformPayouts: 'platform:payouts',
+  pending: organizerId => `organizer:${organizerId}:pending`,
+  settled: organizerId => `organizer:${organizerId}:settled`,
+  locked: organizerId => `organizer:${organizerId}:locked`,
+  payouts: organizerId => `organizer:${organizerId}:payouts`,
+  clearing: provider => `clearing:${provider || 'paystack'}`,
+  refunds: 'refunds',
+  settlementSuspense: 'suspense:settlements'
+}
+
+const BALANCE_FIELDS = {
+  revenue: 'balance',
+  pending: 'pendingBalance',
+  settled: 'settledBalance',
+  locked: 'lockedBalance',
+  payouts: 'totalWithdrawn'
+}
+
+// Running totals only count sales and their refunds, not settlements or payouts
+const SALE_TYPES = ['ticket_sale', 'refund', 'refund_reversal']
+const SALE_TOTAL_FIELDS = { revenue: 'totalRevenue', pending: 'totalEarnings' }
+
+export const WALLET_FIELDS = [
+  ...Object.values(BALANCE_FIELDS),
+  ...Object.values(SALE_TOTAL_FIELDS)
+]
+
+const entriesRef = () => db.collection('ledger_entries')
+
+const parseAccount = account => {
+  const [kind, first, second] = account.split(':')
+  if (kind === 'platform') return { owner: 'platform', bucket: first }
+  if (kind === 'organizer') return { owner: first, bucket: second }
+  return null // clearing, refunds and suspense sit outside any wallet
+}
+
+/**
+ * Wallet field changes a journal causes, per wallet owner.
+ */
+const walletDeltas = (type, lines) => {
+  const deltas = new Map()
+
+  const add = (owner, field, value) => {
+    if (!deltas.has(owner)) deltas.set(owner, {})
+    const fields = deltas.get(owner)
+    fields[field] = (fields[field] || 0) + value
+  }
+
+  for (const line of lines) {
+    const parsed = parseAccount(line.account)
+    if (!parsed) continue
+
+    const value = (line.credit || 0) - (line.debit || 0)
+    const balanceField = BALANCE_FIELDS[parsed.bucket]
+    if (balanceField) add(parsed.owner, balanceField, value)
+
+    const totalField = SALE_TOTAL_FIELDS[parsed.bucket]
+    if (totalField && SALE_TYPES.includes(type)) add(parsed.owner, totalField, value)
+  }
+
+  return deltas
+}
+
+const cleanLines = (lines, currency) =>
+  lines
+    .map(line => ({
+      account: line.account,
+      debit: roundMoney(line.debit || 0, currency),
+      credit: roundMoney(line.credit || 0, currency)
+    }))
+    .filter(line => line.debit || line.credit)
+
+/**
+ * Write one balanced journal and apply it to the wallets it touches.
+ * Writes only, so it can follow the reads of any transaction.
+ * `writer` is a transaction or a batch; `id` makes the journal
+ * deterministic so a second post of the same event fails. A `backfill`
+ * journal records money that already moved and leaves wallets alone.
+ *
+ * @returns {string} the journal id
+ */
+export const postJournal = (writer, { id, type, currency, lines, backfill = false, ...details }) => {
+  const code = normalizeCurrency(currency)
+  const clean = cleanLines(lines, code)
+
+  const debits = roundMoney(clean.reduce((total, line) => total + line.debit, 0), code)
+  const credits = roundMoney(clean.reduce((total, line) => total + line.credit, 0), code)
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ${type} journal: ${debits} debit vs ${credits} credit`)
+  }
+
+  const deltas = walletDeltas(type, clean)
+  const ref = id ? entriesRef().doc(id) : entriesRef().doc()
+
+  writer.create(ref, {
+    type,
+    currency: code,
+    lines: clean,
+    accounts: [...new Set(clean.map(line => line.account))],
+    owners: [...deltas.keys()],
+    ...(backfill ? { backfill: true } : {}),
+    ...details,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  if (!backfill) {
+    for (const [owner, fields] of deltas) {
+      adjustWallet(writer, owner, code, fields)
+    }
+  }
+
+  return ref.id
+}
+
+/* =======================
+   LEGACY ROWS
+   Money that moved before ledger_entries existed only has a
+   wallet_transactions row (or, for withdrawals, a withdraw_requests doc).
+   These are turned into the journal they would have been.
+======================= */
+
+const legacyRowJournal = row => {
+  const currency = row.currency || DEFAULT_CURRENCY
+  const journal = (type, lines) => ({ type, currency, lines })
+
+  switch (row.type) {
+    case 'ticket_sale':
+      return journal('ticket_sale', [
+        { account: ACCOUNTS.clearing(row.provider), debit: row.grossAmount },
+        { account: ACCOUNTS.platformRevenue, credit: row.platformFee },
+        { account: ACCOUNTS.pending(row.organizerId), credit: row.organizerAmount }
+      ])
+    case 'refund':
+      return journal('refund', [
+        { account: ACCOUNTS.platformRevenue, debit: row.platformFee },
+        { account: ACCOUNTS.pending(row.organizerId), debit: row.organizerAmount },
+        { account: ACCOUNTS.refunds, credit: row.amount }
+      ])
+    case 'refund_reversal':
+      return journal('refund_reversal', [
+        { account: ACCOUNTS.refunds, debit: row.amount },
+        { account: ACCOUNTS.platformRevenue, credit: row.platformFee },
+        { account: ACCOUNTS.pending(row.organizerId), credit: row.organizerAmount }
+      ])
+    case 'settlement':
+      // The first settlement sync clamped to pendingBalance and booked that as `amount`
+      return journal('settlement', [
+        { account: ACCOUNTS.pending(row.organizerId), debit: row.amount },
+        { account: ACCOUNTS.settled(row.organizerId), credit: row.amount }
+      ])
+    case 'platform_withdrawal':
+      return journal('platform_withdrawal', [
+        { account: ACCOUNTS.platformRevenue, debit: row.amount },
+        { account: ACCOUNTS.platformPayouts, credit: row.amount }
+      ])
+    case 'withdrawal':
+      // Rows from withdraw requests are covered by the request itself
+      if (row.withdrawRequestId) return null
+      return journal('withdrawal_paid', [
+        { account: ACCOUNTS.settled(row.organizerId), debit: row.amount },
+        { account: ACCOUNTS.payouts(row.organizerId), credit: row.amount }
+      ])
+    default:
+      return null
+  }
+}
+
+const legacyRequestJournal = request => {
+  const { organizerId, amount } = request
+  const currency = request.currency || DEFAULT_CURRENCY
+
+  // Net effect of the request's whole life
+  if (['pending', 'processing'].includes(request.status)) {
+    return {
+      type: 'withdrawal_request',
+      currency,
+      lines: [
+        { account: ACCOUNTS.settled(organizerId), debit: amount },
+        { account: ACCOUNTS.locked(organizerId), credit: amount }
+      ]
+    }
+  }
+
+  if (request.status === 'paid') {
+    return {
+      type: 'withdrawal_paid',
+      currency,
+      lines: [
+        { account: ACCOUNTS.settled(organizerId), debit: amount },
+        { account: ACCOUNTS.payouts(organizerId), credit: amount }
+      ]
+    }
+  }
+
+  return null // rejected, failed, reversed: the money is back where it started
+}
+
+/**
+ * Journal what a pre-ledger withdraw request already did to the wallet, so
+ * the journals posted for it from now on add up. The caller marks the
+ * request `journaled` in the same write.
+ */
+export const backfillWithdrawRequest = (writer, requestId, request) => {
+  if (request.journaled) return
+
+  const journal = legacyRequestJournal(request)
+  if (journal) {
+    postJournal(writer, { ...journal, id: `wd_backfill_${requestId}`, backfill: true, withdrawRequestId: requestId })
+  }
+}
+
+const legacyJournals = async ownerId => {
+  const rowsQuery = ownerId === 'platform'
+    ? db.collection('wallet_transactions').where('type', 'in', ['ticket_sale', 'refund', 'refund_reversal', 'platform_withdrawal'])
+    : db.collection('wallet_transactions').where('organizerId', '==', ownerId)
+
+  const [rowSnap, requestSnap] = await Promise.all([
+    rowsQuery.get(),
+    ownerId === 'platform'
+      ? null
+      : db.collection('withdraw_requests').where('organizerId', '==', ownerId).get()
+  ])
+
+  return [
+    ...rowSnap.docs
+      .map(doc => doc.data())
+      .filter(row => !row.journalId)
+      .map(legacyRowJournal),
+    ...(requestSnap?.docs || [])
+      .map(doc => doc.data())
+      .filter(request => !request.journaled)
+      .map(legacyRequestJournal)
+  ].filter(Boolean)
+}
+
+/* =======================
+   RECOMPUTE & AUDIT
+======================= */
+
+/**
+ * Rebuild a wallet from its journals (and legacy rows).
+ *
+ * @returns {Promise<Record<string, Record<string, number>>>} currency → field → value
+ */
+export const recomputeWallet = async ownerId => {
+  const totals = {}
+
+  const apply = ({ type, currency, lines }) => {
+    const code = normalizeCurrency(currency)
+    const fields = walletDeltas(type, cleanLines(lines, code)).get(ownerId)
+    if (!fields) return
+
+    totals[code] = totals[code] || {}
+    for (const [field, value] of Object.entries(fields)) {
+      totals[code][field] = roundMoney((totals[code][field] || 0) + value, code)
+    }
+  }
+
+  const [entrySnap, legacy] = await Promise.all([
+    entriesRef().where('owners', 'array-contains', ownerId).get(),
+    legacyJournals(ownerId)
+  ])
+
+  entrySnap.docs.forEach(doc => apply(doc.data()))
+  legacy.forEach(apply)
+
+  return totals
+}
+
+const storedCurrencies = wallet => [
+  ...(WALLET_FIELDS.some(field => wallet?.[field] !== undefined) ? [DEFAULT_CURRENCY] : []),
+  ...Object.keys(wallet?.balances || {})
+]
+
+/**
+ * Compare one wallet's stored balances with its ledger.
+ */
+export const auditWallet = async ownerId => {
+  const [walletSnap, computed] = await Promise.all([
+    walletRef(ownerId).get(),
+    recomputeWallet(ownerId)
+  ])
+  const wallet = walletSnap.data()
+
+  const currencies = new Set([...storedCurrencies(wallet), ...Object.keys(computed)])
+  const drift = []
+
+  for (const currency of currencies) {
+    const tolerance = 10 ** -minorDigits(currency) / 2
+
+    for (const field of WALLET_FIELDS) {
+      const stored = walletBalance(wallet, currency, field)
+      const ledger = computed[currency]?.[field] || 0
+
+      if (Math.abs(stored - ledger) > tolerance) {
+        drift.push({ currency, field, stored, ledger, difference: roundMoney(stored - ledger, currency) })
+      }
+    }
+  }
+
+  return { ownerId, balanced: drift.length === 0, drift, ledger: computed }
+}
+
+/**
+ * Audit every wallet, or one page of them.
+ */
+export const auditWallets = async ({ limit = 100, startAfter } = {}) => {
+  let query = db.collection('wallets').orderBy(admin.firestore.FieldPath.documentId()).limit(limit)
+  if (startAfter) query = query.startAfter(startAfter)
+
+  const snap = await query.get()
+  const results = []
+
+  for (const doc of snap.docs) {
+    results.push(await auditWallet(doc.id))
+  }
+
+  return {
+    wallets: results.length,
+    drifted: results.filter(result => !result.balanced),
+    nextPageToken: snap.size === limit ? snap.docs[snap.size - 1].id : null
+  }
+}
+
+/**
+ * Overwrite a wallet's balances with the ledger's. Refuses if the wallet
+ * moved while it was being recomputed.
+ */
+export const repairWallet = async (ownerId, adminId) => {
+  const before = await walletRef(ownerId).get()
+  const computed = await recomputeWallet(ownerId)
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(walletRef(ownerId))
+    const changed = snap.data()?.updatedAt?.toMillis() !== before.data()?.updatedAt?.toMillis()
+    if (changed) throw conflict('Wallet changed while it was being recomputed, please retry')
+
+    const values = currency =>
+      Object.fromEntries(WALLET_FIELDS.map(field => [field, computed[currency]?.[field] || 0]))
+
+    const currencies = new Set([...storedCurrencies(snap.data()), ...Object.keys(computed)])
+    const update = {
+      balances: {},
+      recomputedAt: admin.firestore.FieldValue.serverTimestamp(),
+      recomputedBy: adminId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+
+    // Every field is written for every currency, so merging can't leave stale values
+    for (const currency of currencies) {
+      if (currency === DEFAULT_CURRENCY) Object.assign(update, values(currency))
+      else update.balances[currency] = values(currency)
+    }
+
+    tx.set(walletRef(ownerId), update, { merge: true })
+  })
+
+  return computed
+}
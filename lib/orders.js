@@ -0,0 +1,244 @@
+import { db } from './firebase.js'
+import { conflict, notFound } from './errors.js'
+import { eventStartsAt } from './events.js'
+import { rateLimit } from './rateLimit.js'
+import { sendFreeTicketEmails, sendPaidTicketEmails } from './email.js'
+import { ticketRole } from './tickets.js'
+import { verifiedEmail } from './auth.js'
+
+/* =======================
+   BUYER ORDERS
+   What a buyer sees of their own purchases. `user` is a signed-in user
+   or a guest from a magic link ({ uid: null, email }).
+   The purchaser sees every ticket in the order; someone who was only
+   given a ticket sees just the tickets they hold, without the payment.
+   Orders and tickets are only matched by email for verified emails;
+   an unverified account sees what its uid bought.
+======================= */
+
+const QUERY_LIMIT = 500
+const HOUR_MS = 60 * 60 * 1000
+
+const ordersRef = () => db.collection('orders')
+const ticketsRef = () => db.collection('tickets')
+
+const toDate = value => value?.toDate?.() || null
+
+const serializeTicket = (ticket, role) => ({
+  ticketId: ticket.ticketId,
+  reference: ticket.reference,
+  eventId: ticket.eventId,
+  eventName: ticket.eventName,
+  ticketType: ticket.ticketType,
+  ticketTypeId: ticket.ticketTypeId,
+  attendeeName: ticket.attendeeName || ticket.buyerName,
+  attendeeEmail: ticket.attendeeEmail || ticket.email,
+  attendeeNumber: ticket.attendeeNumber ?? null,
+  location: ticket.location,
+  map: ticket.map || null,
+  amount: ticket.amount,
+  currency: ticket.currency,
+  status: ticket.status,
+  used: ticket.used === true,
+  transferCount: ticket.transferCount || 0,
+  qr: ticket.status === 'cancelled' ? null : ticket.qr,
+  role,
+  createdAt: toDate(ticket.createdAt)
+})
+
+const serializeEvent = (eventId, event) => event && {
+  id: eventId,
+  name: event.name,
+  startsAt: eventStartsAt(event),
+  venue: event.venue?.name || null
+}
+
+const serializeOrder = ({ reference, order, role, tickets, event }) => ({
+  reference,
+  eventId: order?.eventId || tickets[0]?.eventId,
+  event,
+  role,
+  status: order?.status || 'paid',
+  quantity: order?.quantity ?? tickets.length,
+  ...(role === 'purchaser' ? { quote: order?.quote || null } : {}),
+  createdAt: toDate(order?.createdAt) || tickets[0]?.createdAt || null,
+  paidAt: toDate(order?.paidAt),
+  tickets
+})
+
+const isOrderPurchaser = (order, user) => {
+  const email = verifiedEmail(user)
+  return Boolean(
+    (user.uid && order?.userId === user.uid) || (email && order?.email === email)
+  )
+}
+
+const uniqueDocs = snaps => {
+  const docs = new Map()
+  for (const snap of snaps) for (const doc of snap.docs) docs.set(doc.id, doc)
+  return [...docs.values()]
+}
+
+const loadEvents = async eventIds => {
+  const ids = [...new Set(eventIds.filter(Boolean))]
+  if (!ids.length) return new Map()
+
+  const snaps = await db.getAll(...ids.map(id => db.collection('events').doc(id)))
+  return new Map(snaps.map(snap => [snap.id, serializeEvent(snap.id, snap.data())]))
+}
+
+/**
+ * Every order the user bought or holds a ticket from, newest first.
+ */
+export const listMyOrders = async user => {
+  const email = verifiedEmail(user)
+
+  const ticketQueries = [
+    user.uid && ticketsRef().where('userId', '==', user.uid),
+    email && ticketsRef().where('purchaserEmail', '==', email),
+    email && ticketsRef().where('attendeeEmail', '==', email)
+  ].filter(Boolean)
+
+  // Orders are queried too, so pending and failed checkouts show up
+  const orderQueries = [
+    user.uid && ordersRef().where('userId', '==', user.uid),
+    email && ordersRef().where('email', '==', email)
+  ].filter(Boolean)
+
+  const [ticketSnaps, orderSnaps] = await Promise.all([
+    Promise.all(ticketQueries.map(query => query.limit(QUERY_LIMIT).get())),
+    Promise.all(orderQueries.map(query => query.limit(QUERY_LIMIT).get()))
+  ])
+
+  const orders = new Map(uniqueDocs(orderSnaps).map(doc => [doc.id, doc.data()]))
+
+  const ticketsByOrder = new Map()
+  for (const doc of uniqueDocs(ticketSnaps)) {
+    const ticket = doc.data()
+    const role = ticketRole(ticket, user)
+    if (!role) continue
+
+    const list = ticketsByOrder.get(ticket.reference) || []
+    list.push({ ticket, role })
+    ticketsByOrder.set(ticket.reference, list)
+  }
+
+  // Gifted tickets belong to orders the user didn't place
+  const missing = [...ticketsByOrder.keys()].filter(reference => !orders.has(reference))
+  if (missing.length) {
+    const snaps = await db.getAll(...missing.map(reference => ordersRef().doc(reference)))
+    for (const snap of snaps) if (snap.exists) orders.set(snap.id, snap.data())
+  }
+
+  const references = new Set([...orders.keys(), ...ticketsByOrder.keys()])
+  const events = await loadEvents([...references].map(reference =>
+    orders.get(reference)?.eventId || ticketsByOrder.get(reference)?.[0].ticket.eventId
+  ))
+
+  return [...references]
+    .map(reference => {
+      const order = orders.get(reference)
+      const held = ticketsByOrder.get(reference) || []
+      const purchaser = isOrderPurchaser(order, user) || held.some(({ role }) => role === 'purchaser')
+      const tickets = held.map(({ ticket, role }) => serializeTicket(ticket, role))
+
+      return serializeOrder({
+        reference,
+        order,
+        role: purchaser ? 'purchaser' : 'attendee',
+        tickets,
+        event: events.get(order?.eventId || tickets[0]?.eventId) || null
+      })
+    })
+    .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0))
+}
+
+/** The user's tickets across all orders, newest first. */
+export const listMyTickets = async user => {
+  const orders = await listMyOrders(user)
+  return orders.flatMap(order => order.tickets.map(ticket => ({ ...ticket, event: order.event })))
+}
+
+// The order and the tickets in it this user may see
+const loadOrderForUser = async (reference, user) => {
+  const [orderSnap, ticketSnap] = await Promise.all([
+    ordersRef().doc(reference).get(),
+    ticketsRef().where('reference', '==', reference).get()
+  ])
+
+  if (!orderSnap.exists && ticketSnap.empty) throw notFound('Order not found')
+
+  const order = orderSnap.data()
+  const all = ticketSnap.docs.map(doc => ({ ticket: doc.data(), role: ticketRole(doc.data(), user) }))
+
+  const purchaser = user.isAdmin || isOrderPurchaser(order, user) || all.some(({ role }) => role === 'purchaser')
+  const visible = purchaser ? all : all.filter(({ role }) => role === 'holder')
+
+  // Not saying whether an order exists to someone outside it
+  if (!purchaser && !visible.length) throw notFound('Order not found')
+
+  return { order, role: purchaser ? 'purchaser' : 'attendee', tickets: visible }
+}
+
+export const getOrderForUser = async (reference, user) => {
+  const { order, role, tickets } = await loadOrderForUser(reference, user)
+  const eventId = order?.eventId || tickets[0]?.ticket.eventId
+  const events = await loadEvents([eventId])
+
+  return serializeOrder({
+    reference,
+    order,
+    role,
+    tickets: tickets.map(({ ticket, role: ticketRoleName }) => serializeTicket(ticket, ticketRoleName || role)),
+    event: events.get(eventId) || null
+  })
+}
+
+/**
+ * Email tickets again: one ticket when `ticketId` is given, otherwise
+ * every active ticket in the order the user can see. Each goes to the
+ * ticket's current holder.
+ */
+export const resendTicketEmails = async ({ reference, ticketId, user }) => {
+  const { order, tickets } = await loadOrderForUser(reference, user)
+
+  const targets = ticketId
+    ? tickets.filter(({ ticket }) => ticket.ticketId === ticketId)
+    : tickets
+  if (ticketId && !targets.length) throw notFound('Ticket not found')
+
+  const active = targets.filter(({ ticket }) => ticket.status !== 'cancelled')
+  if (!active.length) throw conflict('There are no active tickets to resend')
+
+  await rateLimit(`resend:user:${user.uid || user.email?.toLowerCase()}`, {
+    limit: 10,
+    windowMs: HOUR_MS,
+    message: 'Too many resend requests'
+  })
+  await rateLimit(ticketId ? `resend:ticket:${ticketId}` : `resend:order:${reference}`, {
+    limit: 3,
+    windowMs: HOUR_MS,
+    message: ticketId ? 'This ticket was resent recently' : 'This order was resent recently'
+  })
+
+  const eventId = order?.eventId || active[0].ticket.eventId
+  const eventSnap = await db.collection('events').doc(eventId).get()
+  if (!eventSnap.exists) throw notFound('Event not found')
+
+  const event = eventSnap.data()
+  const quote = order?.quote
+  const ticketIds = active.map(({ ticket }) => ({
+    ticketId: ticket.ticketId,
+    attendee: { name: ticket.attendeeName || ticket.buyerName, email: ticket.attendeeEmail || ticket.email }
+  }))
+
+  const isFree = reference.startsWith('FREE-') || quote?.total === 0
+  setImmediate(() => {
+    const sending = isFree
+      ? sendFreeTicketEmails({ ticketIds, event, quote })
+      : sendPaidTicketEmails({ ticketIds, eventDoc: event, quote, purchaserName: active[0].ticket.purchaserName })
+    sending.catch(err => console.error('Resend ticket email error:', reference, err))
+  })
+
+  return { reference, resent: ticketIds.map(({ ticketId }) => ticketId) }
+}
@@ -0,0 +1,41 @@
+import fetch from 'node-fetch'
+import { HttpError } from './errors.js'
+
+/* =======================
+   PAYSTACK API
+======================= */
+const PAYSTACK_API = 'https://api.paystack.co'
+
+const call = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${PAYSTACK_API}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const result = await response.json()
+
+  if (!result.status) {
+    throw new HttpError(400, result.message || 'Paystack request failed')
+  }
+
+  return result
+}
+
+/**
+ * Call the Paystack API and return `data`. Paystack reports failures with
+ * `status: false`, which is thrown as a 400 carrying Paystack's message.
+ */
+export const paystackRequest = async (path, options) => (await call(path, options)).data
+
+/**
+ * One page of a Paystack list endpoint: `{ data, meta }`, where meta has
+ * `page` and `pageCount`.
+ */
+export const paystackPage = async path => {
+  const { data, meta } = await call(path)
+  return { data, meta: meta || {} }
+}
@@ -0,0 +1,190 @@
+import { badRequest } from './errors.js'
+import { normalizeCurrency, roundMoney, toMinor } from './currency.js'
+
+/* =======================
+   CHECKOUT PRICING
+   Every amount here comes from the event document, never from the
+   request body. The quote is stored against the payment reference so
+   the webhook can check what the provider actually charged. Rounding
+   follows the order currency's minor unit.
+======================= */
+
+export const getTicketField = event =>
+  Array.isArray(event.tickets) ? 'tickets' : 'price'
+
+export const getTicketList = event =>
+  Array.isArray(event.tickets)
+    ? event.tickets
+    : Array.isArray(event.price)
+    ? event.price
+    : []
+
+export const getTicketName = ticket =>
+  ticket.name || ticket.type || ticket.label || 'Ticket'
+
+const toAmount = (value, label) => {
+  const amount = Number(value)
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw badRequest(`Invalid ${label} configuration`)
+  }
+  return amount
+}
+
+/**
+ * Event-level fees, e.g. { label: 'Service charge', type: 'percentage', value: 5 }
+ * or { label: 'Booking fee', type: 'flat', value: 200, perTicket: true }.
+ */
+const computeFees = (event, subtotal, quantity, currency) => {
+  if (!Array.isArray(event.fees) || subtotal === 0) return []
+
+  return event.fees.map(fee => {
+    const value = toAmount(fee.value, 'fee')
+    const amount =
+      fee.type === 'percentage'
+        ? (subtotal * value) / 100
+        : fee.perTicket
+        ? value * quantity
+        : value
+
+    return { label: fee.label || 'Fee', type: fee.type || 'flat', amount: roundMoney(amount, currency) }
+  })
+}
+
+/**
+ * Event-level taxes, e.g. { label: 'VAT', rate: 7.5 }, charged on the
+ * subtotal plus fees.
+ */
+const computeTaxes = (event, taxableAmount, currency) => {
+  if (!Array.isArray(event.taxes) || taxableAmount === 0) return []
+
+  return event.taxes.map(tax => {
+    const rate = toAmount(tax.rate, 'tax')
+    return { label: tax.label || 'Tax', rate, amount: roundMoney((taxableAmount * rate) / 100, currency) }
+  })
+}
+
+/**
+ * Promo discount for the quoted items. Codes restricted to ticket types
+ * only discount those lines; fixed discounts never exceed them.
+ */
+const computeDiscount = (promo, items, currency) => {
+  const eligible = promo.ticketIds?.length
+    ? items.filter(item => promo.ticketIds.includes(item.ticketId))
+    : items
+
+  if (eligible.length === 0) {
+    throw badRequest('This promo code does not apply to the selected tickets')
+  }
+
+  const eligibleAmount = eligible.reduce((total, item) => total + item.amount, 0)
+  const amount =
+    promo.type === 'percentage'
+      ? (eligibleAmount * promo.value) / 100
+      : Math.min(promo.value, eligibleAmount)
+
+  return {
+    codeId: promo.id,
+    code: promo.code,
+    type: promo.type,
+    value: promo.value,
+    amount: roundMoney(amount, currency)
+  }
+}
+
+/**
+ * Platform fee on `baseAmount` (the ticket total after discounts, event
+ * fees and taxes) under a fee_rules rule. Flat fees and caps only apply
+ * to orders in the rule's currency.
+ */
+const computePlatformFee = (rule, baseAmount, currency) => {
+  const sameCurrency = normalizeCurrency(rule.currency) === currency
+  const flat = sameCurrency ? rule.flat || 0 : 0
+  const cap = sameCurrency ? rule.cap ?? null : null
+
+  let amount = baseAmount > 0 ? (baseAmount * (rule.percentage || 0)) / 100 + flat : 0
+  if (cap !== null) amount = Math.min(amount, cap)
+  // An organizer can't be charged more than the sale itself
+  if (rule.payer !== 'buyer') amount = Math.min(amount, baseAmount)
+
+  return {
+    ruleId: rule.id,
+    payer: rule.payer === 'buyer' ? 'buyer' : 'organizer',
+    percentage: rule.percentage || 0,
+    flat,
+    cap,
+    amount: roundMoney(amount, currency)
+  }
+}
+
+const sum = (rows, currency) =>
+  roundMoney(rows.reduce((total, row) => total + row.amount, 0), currency)
+
+/**
+ * Build an itemised quote for an order.
+ *
+ * @param {object} event  Firestore event document data
+ * @param {{ ticketId: string, quantity: number }[]} lines
+ * @param {{ promo?: object, feeRule?: object }} [options]  promo is a validated
+ *   promo_codes doc, feeRule the fee_rules rule for the event
+ */
+export const buildQuote = (event, lines, { promo, feeRule } = {}) => {
+  const ticketList = getTicketList(event)
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw badRequest('No tickets selected')
+  }
+
+  const items = lines.map(({ ticketId, quantity }) => {
+    const ticket = ticketList.find(t => t.id === ticketId)
+    if (!ticket) throw badRequest('Ticket type not found')
+
+    const unitPrice = event.isFree === true ? 0 : toAmount(ticket.price ?? 0, 'ticket price')
+    const currency = normalizeCurrency(ticket.currency || event.currency)
+
+    return {
+      ticketId,
+      name: getTicketName(ticket),
+      currency,
+      unitPrice,
+      quantity,
+      amount: roundMoney(unitPrice * quantity, currency)
+    }
+  })
+
+  const currencies = new Set(items.map(item => item.currency))
+  if (currencies.size > 1) {
+    throw badRequest('All tickets in an order must use the same currency')
+  }
+
+  const currency = items[0].currency
+  const quantity = items.reduce((total, item) => total + item.quantity, 0)
+  const subtotal = sum(items, currency)
+  const discount = promo && subtotal > 0 ? computeDiscount(promo, items, currency) : null
+  const discountedSubtotal = roundMoney(subtotal - (discount?.amount || 0), currency)
+  const fees = computeFees(event, discountedSubtotal, quantity, currency)
+  const feeTotal = sum(fees, currency)
+  const taxes = computeTaxes(event, roundMoney(discountedSubtotal + feeTotal, currency), currency)
+  const taxTotal = sum(taxes, currency)
+  const ticketTotal = roundMoney(discountedSubtotal + feeTotal + taxTotal, currency)
+  const platformFee = feeRule ? computePlatformFee(feeRule, ticketTotal, currency) : null
+  // A buyer-paid platform fee goes on top; otherwise it comes out of the organizer's share
+  const total = platformFee?.payer === 'buyer'
+    ? roundMoney(ticketTotal + platformFee.amount, currency)
+    : ticketTotal
+
+  return {
+    currency,
+    items,
+    quantity,
+    subtotal,
+    discount,
+    discountedSubtotal,
+    fees,
+    feeTotal,
+    taxes,
+    taxTotal,
+    platformFee,
+    total,
+    amountMinor: toMinor(total, currency)
+  }
+}
@@ -0,0 +1,189 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, notFound } from './errors.js'
+import { getTicketList } from './pricing.js'
+
+/* =======================
+   PROMO CODES
+   promo_codes/{eventId}_{CODE}
+     /users/{email}        per-buyer redemption counter
+     /redemptions/{ref}    one row per paid order
+======================= */
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/
+
+export const normalizeCode = code => String(code || '').trim().toUpperCase()
+
+export const promoCodeId = (eventId, code) => `${eventId}_${normalizeCode(code)}`
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : value ? new Date(value).getTime() : null)
+
+const optionalLimit = (value, label) => {
+  if (value === undefined || value === null || value === '') return null
+  const limit = Number(value)
+  if (!Number.isInteger(limit) || limit <= 0) throw badRequest(`Invalid ${label}`)
+  return limit
+}
+
+const optionalDate = (value, label) => {
+  if (!value) return null
+  const date = new Date(value)
+  if (isNaN(date.getTime())) throw badRequest(`Invalid ${label}`)
+  return admin.firestore.Timestamp.fromDate(date)
+}
+
+export const serializePromoCode = (id, promo) => ({
+  id,
+  ...promo,
+  startsAt: promo.startsAt?.toDate() || null,
+  expiresAt: promo.expiresAt?.toDate() || null,
+  createdAt: promo.createdAt?.toDate() || null,
+  disabledAt: promo.disabledAt?.toDate() || null
+})
+
+export const createPromoCode = async ({ eventId, event, organizerId, input }) => {
+  const code = normalizeCode(input.code)
+  if (!CODE_PATTERN.test(code)) {
+    throw badRequest('Codes must be 3-32 letters, numbers, dashes or underscores')
+  }
+
+  if (!['percentage', 'fixed'].includes(input.type)) {
+    throw badRequest('Discount type must be "percentage" or "fixed"')
+  }
+
+  const value = Number(input.value)
+  if (!Number.isFinite(value) || value <= 0 || (input.type === 'percentage' && value > 100)) {
+    throw badRequest('Invalid discount value')
+  }
+
+  const ticketIds = Array.isArray(input.ticketIds) ? input.ticketIds : []
+  const knownTicketIds = getTicketList(event).map(t => t.id)
+  if (ticketIds.some(id => !knownTicketIds.includes(id))) {
+    throw badRequest('Promo code references an unknown ticket type')
+  }
+
+  const promo = {
+    code,
+    eventId,
+    organizerId,
+    type: input.type,
+    value,
+    maxUses: optionalLimit(input.maxUses, 'usage limit'),
+    perUserLimit: optionalLimit(input.perUserLimit, 'per-user limit'),
+    startsAt: optionalDate(input.startsAt, 'start date'),
+    expiresAt: optionalDate(input.expiresAt, 'expiry date'),
+    ticketIds,
+    usedCount: 0,
+    active: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }
+
+  const ref = db.collection('promo_codes').doc(promoCodeId(eventId, code))
+
+  try {
+    await ref.create(promo)
+  } catch (err) {
+    // ALREADY_EXISTS
+    if (err.code === 6) throw conflict('This code already exists for the event')
+    throw err
+  }
+
+  return ref.id
+}
+
+export const listPromoCodes = async eventId => {
+  const snap = await db
+    .collection('promo_codes')
+    .where('eventId', '==', eventId)
+    .get()
+
+  return snap.docs.map(doc => serializePromoCode(doc.id, doc.data()))
+}
+
+export const disablePromoCode = async codeId => {
+  const ref = db.collection('promo_codes').doc(codeId)
+  const snap = await ref.get()
+  if (!snap.exists) throw notFound('Promo code not found')
+
+  await ref.update({
+    active: false,
+    disabledAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  return snap.data()
+}
+
+/**
+ * Throws when the code can't be used right now. `userCount` is how many
+ * times this buyer has already redeemed it.
+ */
+const assertRedeemable = (promo, userCount, now = Date.now()) => {
+  if (!promo.active) throw badRequest('This promo code is no longer active')
+
+  const startsAt = toMillis(promo.startsAt)
+  if (startsAt && now < startsAt) throw badRequest('This promo code is not active yet')
+
+  const expiresAt = toMillis(promo.expiresAt)
+  if (expiresAt && now > expiresAt) throw badRequest('This promo code has expired')
+
+  if (promo.maxUses && (promo.usedCount || 0) >= promo.maxUses) {
+    throw conflict('This promo code has reached its usage limit')
+  }
+
+  if (promo.perUserLimit && userCount >= promo.perUserLimit) {
+    throw conflict('You have already used this promo code')
+  }
+}
+
+/**
+ * Look up and validate a code at checkout. The final check happens again
+ * in redeemPromoCode when the payment is confirmed.
+ */
+export const findPromoCode = async ({ eventId, code, email }) => {
+  const ref = db.collection('promo_codes').doc(promoCodeId(eventId, code))
+  const snap = await ref.get()
+  if (!snap.exists) throw badRequest('Invalid promo code')
+
+  const promo = snap.data()
+  const userSnap = await ref.collection('users').doc(email.toLowerCase()).get()
+  assertRedeemable(promo, userSnap.data()?.count || 0)
+
+  return { id: snap.id, ...promo }
+}
+
+/**
+ * Record a redemption inside the caller's transaction. Firestore needs all
+ * reads before writes, so this only reads and returns a function that
+ * applies the writes.
+ */
+export const redeemPromoCode = async (tx, { discount, reference, email, userId }) => {
+  const ref = db.collection('promo_codes').doc(discount.codeId)
+  const userRef = ref.collection('users').doc(email.toLowerCase())
+
+  const [promoSnap, userSnap] = await Promise.all([tx.get(ref), tx.get(userRef)])
+  if (!promoSnap.exists) throw conflict('Promo code no longer exists')
+
+  // Payment is already confirmed here, so only usage limits are rechecked
+  const promo = promoSnap.data()
+  const userCount = userSnap.data()?.count || 0
+  assertRedeemable({ ...promo, active: true, startsAt: null, expiresAt: null }, userCount)
+
+  return () => {
+    tx.update(ref, {
+      usedCount: admin.firestore.FieldValue.increment(1),
+      lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.set(userRef, {
+      count: userCount + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true })
+
+    tx.set(ref.collection('redemptions').doc(reference), {
+      reference,
+      email: email.toLowerCase(),
+      userId: userId || null,
+      amount: discount.amount,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  }
+}
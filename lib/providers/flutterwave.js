@@ -0,0 +1,216 @@
+import crypto from 'crypto'
+import fetch from 'node-fetch'
+import { HttpError } from '../errors.js'
+import { DEFAULT_CURRENCY, fromMinor, toMinor } from '../currency.js'
+
+/* =======================
+   FLUTTERWAVE ADAPTER
+   Flutterwave takes amounts in major units and sends its own event
+   names; both are translated to the shapes the Paystack adapter uses.
+   Settlements can only be listed one subaccount at a time, so the
+   settlement sync asks per subaccount (settlementsPerSubaccount).
+======================= */
+const FLUTTERWAVE_API = 'https://api.flutterwave.com/v3'
+
+const flutterwaveCall = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${FLUTTERWAVE_API}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.FLW_SECRET_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const result = await response.json()
+
+  if (result.status !== 'success') {
+    throw new HttpError(400, result.message || 'Flutterwave request failed')
+  }
+
+  return result
+}
+
+const flutterwaveRequest = async (path, options) => (await flutterwaveCall(path, options)).data
+
+const normalizeCharge = data => ({
+  provider: 'flutterwave',
+  reference: data.tx_ref,
+  status: data.status === 'successful' ? 'success' : data.status,
+  amountMinor: toMinor(data.amount, data.currency),
+  currency: data.currency,
+  customer: {
+    email: data.customer?.email,
+    name: data.customer?.name || null
+  },
+  metadata: data.meta || null,
+  providerTransactionId: data.id ?? null
+})
+
+export const flutterwave = {
+  name: 'flutterwave',
+  currencies: ['NGN', 'GHS', 'KES', 'ZAR', 'UGX', 'TZS', 'RWF', 'XOF', 'XAF', 'USD', 'GBP', 'EUR'],
+
+  async initializePayment ({ reference, email, name, amountMinor, currency, subaccount, platformFeeMinor, callbackUrl, metadata }) {
+    const data = await flutterwaveRequest('/payments', {
+      method: 'POST',
+      body: {
+        tx_ref: reference,
+        amount: fromMinor(amountMinor, currency),
+        currency: currency || DEFAULT_CURRENCY,
+        redirect_url: callbackUrl,
+        customer: { email, name: name || undefined },
+        // Flutterwave meta only takes flat values
+        meta: Object.fromEntries(
+          Object.entries(metadata || {}).map(([key, value]) => [
+            key,
+            typeof value === 'object' && value !== null ? JSON.stringify(value) : value
+          ])
+        ),
+        subaccounts: subaccount
+          ? [{
+              id: subaccount,
+              // Flat platform commission for this charge
+              ...(platformFeeMinor !== undefined
+                ? { transaction_charge_type: 'flat', transaction_charge: fromMinor(platformFeeMinor, currency) }
+                : {})
+            }]
+          : undefined
+      }
+    })
+
+    return { authorizationUrl: data.link, reference }
+  },
+
+  async verifyPayment (reference) {
+    const data = await flutterwaveRequest(
+      `/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`
+    )
+    return normalizeCharge(data)
+  },
+
+  verifyWebhook (rawBody, headers) {
+    const expected = Buffer.from(process.env.FLW_SECRET_HASH || '')
+    const received = Buffer.from(headers['verif-hash'] || '')
+
+    return expected.length > 0 &&
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+  },
+
+  async parseWebhook (payload) {
+    const { event, data = {} } = payload
+
+    if (event === 'charge.completed') {
+      // Flutterwave asks merchants to confirm with the API before giving value
+      const charge = await this.verifyPayment(data.tx_ref)
+      return charge.status === 'success' ? { type: 'charge.success', charge } : { type: null }
+    }
+
+    if (event === 'transfer.completed') {
+      return {
+        type: data.status === 'SUCCESSFUL' ? 'transfer.success' : 'transfer.failed',
+        transfer: { reference: data.reference, status: data.status }
+      }
+    }
+
+    if (event?.startsWith('refund.')) {
+      const status = String(data.status || '').toLowerCase()
+      return {
+        type: status === 'completed' ? 'refund.processed' : status === 'failed' ? 'refund.failed' : 'refund.pending',
+        refund: {
+          refundId: data.id ?? null,
+          reference: data.tx_ref || null,
+          amountMinor: toMinor(data.amount_refunded ?? data.amount ?? 0, data.currency),
+          message: data.comments || null
+        }
+      }
+    }
+
+    return { type: null }
+  },
+
+  async createSubaccount ({ businessName, accountNumber, bankCode, percentageCharge, email, country = 'NG' }) {
+    const data = await flutterwaveRequest('/subaccounts', {
+      method: 'POST',
+      body: {
+        account_bank: bankCode,
+        account_number: accountNumber,
+        business_name: businessName,
+        business_email: email,
+        country: String(country).toUpperCase(),
+        split_type: 'percentage',
+        split_value: (percentageCharge || 0) / 100
+      }
+    })
+
+    return { code: data.subaccount_id }
+  },
+
+  listBanks ({ country = 'NG' } = {}) {
+    return flutterwaveRequest(`/banks/${encodeURIComponent(country)}`)
+  },
+
+  async resolveAccount ({ accountNumber, bankCode }) {
+    const data = await flutterwaveRequest('/accounts/resolve', {
+      method: 'POST',
+      body: { account_number: accountNumber, account_bank: bankCode }
+    })
+
+    return {
+      accountName: data.account_name,
+      accountNumber: data.account_number,
+      bankId: null
+    }
+  },
+
+  async transfer ({ bank, amountMinor, currency = DEFAULT_CURRENCY, reference, reason }) {
+    const data = await flutterwaveRequest('/transfers', {
+      method: 'POST',
+      body: {
+        account_bank: bank.bankCode,
+        account_number: bank.accountNumber,
+        amount: fromMinor(amountMinor, currency),
+        currency,
+        reference,
+        narration: reason
+      }
+    })
+
+    return { transferCode: String(data.id), status: data.status }
+  },
+
+  async refund ({ transactionId, amountMinor, currency }) {
+    if (!transactionId) {
+      throw new HttpError(400, 'Flutterwave refunds need the transaction id of the charge')
+    }
+
+    const data = await flutterwaveRequest(`/transactions/${transactionId}/refund`, {
+      method: 'POST',
+      body: { amount: fromMinor(amountMinor, currency) }
+    })
+
+    return { id: data.id ?? null, status: data.status }
+  },
+
+  settlementsPerSubaccount: true,
+
+  async listSettlements ({ page, from, subaccountCode }) {
+    const query = new URLSearchParams({ page, subaccount_id: subaccountCode })
+    if (from) query.set('from', from.toISOString().slice(0, 10))
+
+    const { data, meta } = await flutterwaveCall(`/settlements?${query}`)
+
+    return {
+      settlements: data.map(settlement => ({
+        id: settlement.id.toString(),
+        status: settlement.status === 'completed' && settlement.processed_date ? 'paid' : settlement.status,
+        paidAt: settlement.processed_date,
+        amountMinor: toMinor(settlement.net_amount, settlement.currency),
+        currency: settlement.currency || DEFAULT_CURRENCY,
+        subaccountCode
+      })),
+      pageCount: meta?.page_info?.total_pages || 1
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import { badRequest } from '../errors.js'
+import { flutterwave } from './flutterwave.js'
+import { paystack } from './paystack.js'
+
+/* =======================
+   PAYMENT PROVIDERS
+   Every adapter implements:
+     initializePayment, verifyPayment       checkout (with the platform's
+                                            share as platformFeeMinor)
+     verifyWebhook, parseWebhook            webhooks, normalised to
+                                            charge.success / refund.* / transfer.*
+     createSubaccount                       organizer split
+     listBanks, resolveAccount              payout accounts
+     transfer, refund                       money out
+   plus `currencies` (what it can charge in) and listSettlements
+   (settlement sync; with settlementsPerSubaccount it is asked once per
+   subaccount). Amounts cross the adapter boundary in minor units.
+======================= */
+const PROVIDERS = { paystack, flutterwave }
+
+export const DEFAULT_PROVIDER = process.env.DEFAULT_PAYMENT_PROVIDER || 'paystack'
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS)
+
+export const getProvider = (name = DEFAULT_PROVIDER) => {
+  const key = name || DEFAULT_PROVIDER
+  if (!Object.hasOwn(PROVIDERS, key)) throw badRequest(`Unknown payment provider: ${name}`)
+  return PROVIDERS[key]
+}
+
+export const assertCurrencySupported = (provider, currency) => {
+  if (!provider.currencies.includes(currency)) {
+    throw badRequest(`${provider.name} cannot take payments in ${currency}`)
+  }
+}
+
+/**
+ * Organizer earnings only become withdrawable once settlement sync books
+ * them (settlements.js), so a provider without listSettlements can't take
+ * organizer checkouts yet.
+ */
+export const assertSettlementSupported = provider => {
+  if (!provider.listSettlements) {
+    throw badRequest(`${provider.name} checkouts are unavailable until its settlements can be synced`)
+  }
+}
+
+/** The provider an event sells through (`event.paymentProvider`). */
+export const providerForEvent = event => getProvider(event.paymentProvider)
+
+/**
+ * The organizer's subaccount for this provider. `subaccountCode` is the
+ * original single-provider field.
+ */
+export const eventSubaccount = (event, provider) =>
+  event.subaccounts?.[provider.name] || event.subaccountCode || null
@@ -0,0 +1,183 @@
+import crypto from 'crypto'
+import { paystackPage, paystackRequest } from '../paystack.js'
+import { DEFAULT_CURRENCY } from '../currency.js'
+
+/* =======================
+   PAYSTACK ADAPTER
+======================= */
+
+const normalizeCharge = data => ({
+  provider: 'paystack',
+  reference: data.reference,
+  status: data.status, // success | failed | abandoned | ongoing | pending ...
+  amountMinor: Number(data.amount),
+  currency: data.currency,
+  customer: {
+    email: data.customer?.email,
+    name:
+      data.customer?.name ||
+      [data.customer?.first_name, data.customer?.last_name].filter(Boolean).join(' ') ||
+      null
+  },
+  metadata: data.metadata || null,
+  providerTransactionId: data.id ?? null
+})
+
+export const paystack = {
+  name: 'paystack',
+  currencies: ['NGN', 'GHS', 'ZAR', 'KES', 'USD'],
+
+  async initializePayment ({ reference, email, amountMinor, currency, subaccount, platformFeeMinor, callbackUrl, metadata }) {
+    const data = await paystackRequest('/transaction/initialize', {
+      method: 'POST',
+      body: {
+        email,
+        amount: amountMinor,
+        currency: currency || DEFAULT_CURRENCY,
+        reference,
+        subaccount,
+        // Flat platform share for this charge, overriding the subaccount's percentage
+        transaction_charge: platformFeeMinor,
+        callback_url: callbackUrl,
+        metadata
+      }
+    })
+
+    return { authorizationUrl: data.authorization_url, reference: data.reference }
+  },
+
+  async verifyPayment (reference) {
+    const data = await paystackRequest(`/transaction/verify/${encodeURIComponent(reference)}`)
+    return normalizeCharge(data)
+  },
+
+  verifyWebhook (rawBody, headers) {
+    const hash = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex')
+
+    return hash === headers['x-paystack-signature']
+  },
+
+  async parseWebhook (payload) {
+    const { event, data = {} } = payload
+
+    if (event === 'charge.success') {
+      return { type: event, charge: normalizeCharge(data) }
+    }
+
+    if (event?.startsWith('refund.')) {
+      return {
+        type: event,
+        refund: {
+          refundId: data.id ?? null,
+          reference: data.transaction_reference,
+          amountMinor: Number(data.amount),
+          message: data.message || null
+        }
+      }
+    }
+
+    if (event?.startsWith('transfer.')) {
+      return { type: event, transfer: { reference: data.reference, status: data.status } }
+    }
+
+    return { type: null }
+  },
+
+  async createSubaccount ({ businessName, accountNumber, bankCode, percentageCharge, email }) {
+    const data = await paystackRequest('/subaccount', {
+      method: 'POST',
+      body: {
+        business_name: businessName,
+        settlement_bank: bankCode,
+        account_number: accountNumber,
+        percentage_charge: percentageCharge || 0,
+        primary_contact_email: email
+      }
+    })
+
+    return { code: data.subaccount_code }
+  },
+
+  listBanks ({ country = 'nigeria' } = {}) {
+    return paystackRequest(`/bank?country=${encodeURIComponent(country)}`)
+  },
+
+  async resolveAccount ({ accountNumber, bankCode }) {
+    const data = await paystackRequest(
+      `/bank/resolve?account_number=${accountNumber}&bank_code=${bankCode}`
+    )
+
+    return {
+      accountName: data.account_name,
+      accountNumber: data.account_number,
+      bankId: data.bank_id
+    }
+  },
+
+  /**
+   * Paystack pays out to a transfer recipient; creating one for an account
+   * that already has a recipient returns the existing one.
+   */
+  async transfer ({ bank, amountMinor, currency = DEFAULT_CURRENCY, reference, reason }) {
+    const { accountName } = await this.resolveAccount(bank)
+
+    const recipient = await paystackRequest('/transferrecipient', {
+      method: 'POST',
+      body: {
+        type: 'nuban',
+        name: accountName,
+        account_number: bank.accountNumber,
+        bank_code: bank.bankCode,
+        currency
+      }
+    })
+
+    const data = await paystackRequest('/transfer', {
+      method: 'POST',
+      body: {
+        source: 'balance',
+        amount: amountMinor,
+        recipient: recipient.recipient_code,
+        reference,
+        reason
+      }
+    })
+
+    return { transferCode: data.transfer_code, status: data.status }
+  },
+
+  async refund ({ reference, amountMinor, note }) {
+    const data = await paystackRequest('/refund', {
+      method: 'POST',
+      body: {
+        transaction: reference,
+        amount: amountMinor,
+        merchant_note: note || undefined
+      }
+    })
+
+    return { id: data.id ?? null, status: data.status }
+  },
+
+  async listSettlements ({ page, perPage, from }) {
+    const query = new URLSearchParams({ perPage, page, status: 'success' })
+    if (from) query.set('from', from.toISOString())
+
+    const { data, meta } = await paystackPage(`/settlement?${query}`)
+
+    return {
+      settlements: data.map(settlement => ({
+        id: settlement.id.toString(),
+        status: settlement.status === 'success' && settlement.paid_at ? 'paid' : settlement.status,
+        paidAt: settlement.paid_at,
+        amountMinor: settlement.total_amount,
+        currency: settlement.currency || DEFAULT_CURRENCY,
+        subaccountCode: settlement.subaccount?.subaccount_code || null
+      })),
+      pageCount: meta.pageCount || 1
+    }
+  }
+}
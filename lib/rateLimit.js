@@ -0,0 +1,45 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { tooManyRequests } from './errors.js'
+
+/* =======================
+   RATE LIMITS
+   Fixed windows counted in Firestore, so every server instance shares them.
+   rate_limits/{sha256(key)}: { count, windowStart, expiresAt }
+   Keys often hold emails, so only their hash is stored. expiresAt is
+   there for a Firestore TTL policy to clean up old windows.
+======================= */
+
+const limitRef = key =>
+  db.collection('rate_limits').doc(crypto.createHash('sha256').update(key).digest('hex'))
+
+/**
+ * Count one hit against `key`; throws a 429 once `limit` hits have been
+ * used in the current window.
+ */
+export const rateLimit = async (key, { limit, windowMs, message = 'Too many requests' }) => {
+  const ref = limitRef(key)
+
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    const now = Date.now()
+    const current = snap.data()
+    const fresh = !current || now - current.windowStart.toMillis() >= windowMs
+
+    const windowStart = fresh ? now : current.windowStart.toMillis()
+    const count = fresh ? 0 : current.count
+
+    if (count >= limit) {
+      const minutes = Math.max(1, Math.ceil((windowStart + windowMs - now) / 60000))
+      throw tooManyRequests(`${message}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`)
+    }
+
+    tx.set(ref, {
+      count: count + 1,
+      windowStart: admin.firestore.Timestamp.fromMillis(windowStart),
+      expiresAt: admin.firestore.Timestamp.fromMillis(windowStart + windowMs)
+    })
+
+    return { remaining: limit - count - 1 }
+  })
+}
@@ -0,0 +1,443 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, notFound } from './errors.js'
+import { getProvider } from './providers/index.js'
+import { returnSeats } from './inventory.js'
+import { UNFULFILLED_STATUSES } from './fulfillment.js'
+import { processWaitlist } from './waitlist.js'
+import { formatMoney, fromMinor, roundMoney, toMinor } from './currency.js'
+import { ACCOUNTS, postJournal } from './ledger.js'
+
+/* =======================
+   REFUNDS
+   refunds/{id}: initiated -> provider_accepted (the provider took it)
+                 -> pending (tickets cancelled, money reversed)
+                 -> processed | failed (refund.* webhooks)
+   The order is locked and its tickets claimed as `refund_pending` before
+   the provider is called, so concurrent requests can't refund twice. The
+   lock is only lifted once completeRefund has run.
+   Refunds go back through the provider that took the payment.
+======================= */
+
+/**
+ * Share of the order total paid for one ticket. Discounts, fees and taxes
+ * are spread over the tickets in proportion to their price.
+ */
+const ticketShare = (quote, ticket) =>
+  quote.subtotal > 0 ? (quote.total * (ticket.amount || 0)) / quote.subtotal : 0
+
+const findSaleEntry = async reference => {
+  const snap = await db
+    .collection('wallet_transactions')
+    .where('reference', '==', reference)
+    .where('type', '==', 'ticket_sale')
+    .limit(1)
+    .get()
+
+  return snap.empty ? null : snap.docs[0].data()
+}
+
+const wasScanned = ticket => ticket.used || ticket.entryCount > 0
+
+/**
+ * Refund a whole order, or only `ticketIds` from it, through its provider.
+ * Tickets that were already scanned in are only refunded with `force`.
+ */
+export const createRefund = async ({ reference, ticketIds, reason, requestedBy, force = false }) => {
+  const orderRef = db.collection('orders').doc(reference)
+  const orderSnap = await orderRef.get()
+  if (!orderSnap.exists) throw notFound('Order not found')
+
+  const order = orderSnap.data()
+  const { quote } = order
+  const provider = getProvider(order.provider)
+  // A mismatched charge is refunded in whatever currency it was paid in
+  const currency = order.paidCurrency || quote.currency
+  // Orders that were paid but never got tickets are refunded in full
+  const unfulfilled = UNFULFILLED_STATUSES.includes(order.status)
+
+  if (!unfulfilled && !['paid', 'partially_refunded'].includes(order.status)) {
+    throw badRequest(`Orders that are ${order.status} cannot be refunded`)
+  }
+
+  if (quote.total === 0) throw badRequest('Free orders have nothing to refund')
+
+  const ticketSnap = await db.collection('tickets').where('reference', '==', reference).get()
+  const activeTickets = ticketSnap.docs.filter(doc => doc.data().status === 'success')
+
+  const selected = ticketIds?.length
+    ? activeTickets.filter(doc => ticketIds.includes(doc.id))
+    : activeTickets
+
+  if (ticketIds?.length && selected.length !== ticketIds.length) {
+    throw conflict('Some tickets are not part of this order or were already refunded')
+  }
+
+  if (!unfulfilled && selected.length === 0) {
+    throw conflict('This order has no tickets left to refund')
+  }
+
+  if (!force && selected.some(doc => wasScanned(doc.data()))) {
+    throw conflict('Some of these tickets were already used for entry')
+  }
+
+  // Refunding everything that's left returns the exact remainder, so
+  // rounding on earlier partial refunds never leaves a few kobo behind
+  const isFullRefund = unfulfilled || selected.length === activeTickets.length
+  const paidTotal = fromMinor(order.paidAmountMinor ?? quote.amountMinor, currency)
+  const amount = isFullRefund
+    ? roundMoney(paidTotal - (order.refundedAmount || 0), currency)
+    : roundMoney(selected.reduce((total, doc) => total + ticketShare(quote, doc.data()), 0), currency)
+
+  if (amount <= 0) throw conflict('Nothing left to refund on this order')
+
+  // The sale booked the platform fee and organizer share; reverse the same split
+  const sale = unfulfilled ? null : await findSaleEntry(reference)
+  const platformFee = sale ? roundMoney((sale.platformFee * amount) / sale.grossAmount, currency) : 0
+  const organizerAmount = sale ? roundMoney(amount - platformFee, currency) : 0
+
+  const refundRef = db.collection('refunds').doc()
+  const refund = {
+    reference,
+    eventId: order.eventId,
+    organizerId: sale?.organizerId || null,
+    ticketIds: selected.map(doc => doc.id),
+    amount,
+    amountMinor: toMinor(amount, currency),
+    currency,
+    provider: provider.name,
+    platformFee,
+    organizerAmount,
+    reason: reason || null,
+    requestedBy,
+    forced: force,
+    fullRefund: isFullRefund,
+    status: 'initiated',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }
+
+  /* 1. Lock the order and claim the tickets */
+  await db.runTransaction(async tx => {
+    const [freshOrder, ...fresh] = await Promise.all([
+      tx.get(orderRef),
+      ...selected.map(doc => tx.get(doc.ref))
+    ])
+
+    if (freshOrder.data().refundLock) {
+      throw conflict('Another refund for this order is in progress')
+    }
+
+    if ((freshOrder.data().refundedAmount || 0) !== (order.refundedAmount || 0) ||
+      fresh.some(snap => snap.data().status !== 'success')) {
+      throw conflict('This order changed while the refund was being prepared, please retry')
+    }
+
+    if (!force && fresh.some(snap => wasScanned(snap.data()))) {
+      throw conflict('Some of these tickets were already used for entry')
+    }
+
+    fresh.forEach(snap => tx.update(snap.ref, { status: 'refund_pending' }))
+    tx.update(orderRef, { refundLock: refundRef.id })
+    tx.set(refundRef, refund)
+  })
+
+  /* 2. Ask the provider */
+  let providerRefund
+  try {
+    providerRefund = await provider.refund({
+      reference,
+      transactionId: order.providerTransactionId,
+      amountMinor: refund.amountMinor,
+      currency,
+      note: reason
+    })
+  } catch (err) {
+    const batch = db.batch()
+    selected.forEach(doc => batch.update(doc.ref, { status: 'success' }))
+    batch.update(orderRef, { refundLock: admin.firestore.FieldValue.delete() })
+    batch.update(refundRef, {
+      status: 'failed',
+      failureReason: err.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+    await batch.commit()
+    throw err
+  }
+
+  // Recorded before step 3 so a crash there leaves a refund completeRefund can finish
+  await refundRef.update({
+    status: 'provider_accepted',
+    providerRefundId: providerRefund.id ?? null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  /* 3. Cancel tickets, reverse the money and give the seats back */
+  try {
+    await completeRefund(refundRef.id)
+  } catch (err) {
+    // The provider has the refund; the sweeper or its webhook finishes the rest
+    console.error('❌ Refund accepted but not completed, will retry:', refundRef.id, err)
+    return { id: refundRef.id, ...refund, status: 'provider_accepted' }
+  }
+
+  return { id: refundRef.id, ...refund, status: 'pending' }
+}
+
+/**
+ * Finish a refund the provider accepted: cancel its tickets, reverse the
+ * sale's split, unlock the order and give the seats back. Safe to call
+ * again; only a `provider_accepted` refund is touched.
+ *
+ * @returns {Promise<boolean>} whether this call completed it
+ */
+export const completeRefund = async refundId => {
+  const refundRef = db.collection('refunds').doc(refundId)
+
+  const completed = await db.runTransaction(async tx => {
+    const refundSnap = await tx.get(refundRef)
+    const refund = refundSnap.data()
+    if (refund?.status !== 'provider_accepted') return null
+
+    const orderRef = db.collection('orders').doc(refund.reference)
+    const [orderSnap, ...ticketSnaps] = await Promise.all([
+      tx.get(orderRef),
+      ...refund.ticketIds.map(id => tx.get(db.collection('tickets').doc(id)))
+    ])
+    const order = orderSnap.data()
+
+    const lines = Object.values(
+      ticketSnaps.reduce((acc, snap) => {
+        const ticketId = snap.data().ticketTypeId || order.ticketId
+        acc[ticketId] = { ticketId, quantity: (acc[ticketId]?.quantity || 0) + 1 }
+        return acc
+      }, {})
+    )
+
+    const seats = lines.length
+      ? await returnSeats(tx, { eventRef: db.collection('events').doc(refund.eventId), lines })
+      : null
+
+    seats?.apply()
+
+    ticketSnaps.forEach(snap =>
+      tx.update(snap.ref, {
+        status: 'cancelled',
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        refundId
+      })
+    )
+
+    // Orders that never issued tickets never booked a sale, so there is nothing to reverse
+    if (refund.organizerId) {
+      const journalId = postJournal(tx, {
+        id: `refund_${refundId}`,
+        type: 'refund',
+        currency: refund.currency,
+        reference: refund.reference,
+        refundId,
+        lines: [
+          { account: ACCOUNTS.platformRevenue, debit: refund.platformFee },
+          { account: ACCOUNTS.pending(refund.organizerId), debit: refund.organizerAmount },
+          { account: ACCOUNTS.refunds, credit: refund.amount }
+        ]
+      })
+
+      tx.set(db.collection('wallet_transactions').doc(), {
+        reference: refund.reference,
+        journalId,
+        refundId,
+        eventId: refund.eventId,
+        organizerId: refund.organizerId,
+        amount: refund.amount,
+        platformFee: refund.platformFee,
+        organizerAmount: refund.organizerAmount,
+        currency: refund.currency,
+        type: 'refund',
+        provider: refund.provider,
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    }
+
+    tx.update(refundRef, {
+      status: 'pending',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.update(orderRef, {
+      refundedAmount: roundMoney((order.refundedAmount || 0) + refund.amount, refund.currency),
+      refundLock: admin.firestore.FieldValue.delete(),
+      status: refund.fullRefund ? 'refunded' : 'partially_refunded',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return { eventId: refund.eventId, reference: refund.reference, returnedSeats: lines.length > 0 }
+  })
+
+  // The returned seats go to anyone on the waitlist before the next sweep
+  if (completed?.returnedSeats) {
+    setImmediate(() =>
+      processWaitlist(completed.eventId).catch(err =>
+        console.error('Waitlist after refund error:', completed.reference, err)
+      )
+    )
+  }
+
+  return Boolean(completed)
+}
+
+/**
+ * Finish refunds left `provider_accepted` by a crash or error after the
+ * provider call. Run on a timer from server.js.
+ */
+export const completeAcceptedRefunds = async (limit = 50) => {
+  const snap = await db
+    .collection('refunds')
+    .where('status', '==', 'provider_accepted')
+    .limit(limit)
+    .get()
+
+  let completed = 0
+  for (const doc of snap.docs) {
+    try {
+      if (await completeRefund(doc.id)) completed++
+    } catch (err) {
+      console.error('❌ Failed to complete refund', doc.id, err)
+    }
+  }
+
+  return completed
+}
+
+const findRefundForEvent = async data => {
+  if (data.refundId !== null && data.refundId !== undefined) {
+    const byId = await db
+      .collection('refunds')
+      .where('providerRefundId', '==', data.refundId)
+      .limit(1)
+      .get()
+    if (!byId.empty) return byId.docs[0]
+  }
+
+  const byReference = await db
+    .collection('refunds')
+    .where('reference', '==', data.reference)
+    .where('status', 'in', ['initiated', 'provider_accepted', 'pending'])
+    .get()
+
+  return byReference.docs.find(doc => doc.data().amountMinor === data.amountMinor) ||
+    byReference.docs[0] ||
+    null
+}
+
+/**
+ * refund.processed / refund.failed (and the in-between refund.pending,
+ * refund.processing) as normalised by the provider adapter.
+ */
+export const handleRefundEvent = async ({ type, refund: data }) => {
+  const refundSnap = await findRefundForEvent(data)
+  if (!refundSnap) {
+    console.error('❌ No refund found for webhook', type, data.reference)
+    return
+  }
+
+  // The provider answered before createRefund recorded its reply; the inbox retries
+  if (refundSnap.data().status === 'initiated') {
+    throw new Error(`Refund ${refundSnap.id} is not recorded as accepted yet`)
+  }
+
+  // A refund whose step 3 never ran is finished before its outcome is applied
+  if (refundSnap.data().status === 'provider_accepted') {
+    await completeRefund(refundSnap.id)
+  }
+
+  // Only the first of processed/failed wins, so a refund is never reversed twice
+  const isFinal = refund => ['processed', 'failed'].includes(refund?.status)
+
+  if (type === 'refund.processed') {
+    const updated = await db.runTransaction(async tx => {
+      const [fresh, ledgerSnap] = await Promise.all([
+        tx.get(refundSnap.ref),
+        tx.get(db.collection('wallet_transactions').where('refundId', '==', refundSnap.id))
+      ])
+      if (isFinal(fresh.data())) return false
+
+      tx.update(refundSnap.ref, {
+        status: 'processed',
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+      ledgerSnap.docs.forEach(doc => tx.update(doc.ref, { status: 'processed' }))
+      return true
+    })
+
+    if (updated) console.log('✅ Refund processed:', refundSnap.id)
+    return
+  }
+
+  if (type === 'refund.failed') {
+    // The buyer never got the money, so the organizer and platform get it back
+    const refund = await db.runTransaction(async tx => {
+      const fresh = await tx.get(refundSnap.ref)
+      const current = fresh.data()
+      if (isFinal(current)) return null
+
+      tx.update(refundSnap.ref, {
+        status: 'failed',
+        failureReason: data.message || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+
+      if (!current.organizerId) return current
+
+      const journalId = postJournal(tx, {
+        id: `refund_reversal_${refundSnap.id}`,
+        type: 'refund_reversal',
+        currency: current.currency,
+        reference: current.reference,
+        refundId: refundSnap.id,
+        lines: [
+          { account: ACCOUNTS.refunds, debit: current.amount },
+          { account: ACCOUNTS.platformRevenue, credit: current.platformFee },
+          { account: ACCOUNTS.pending(current.organizerId), credit: current.organizerAmount }
+        ]
+      })
+
+      tx.set(db.collection('wallet_transactions').doc(), {
+        reference: current.reference,
+        journalId,
+        refundId: refundSnap.id,
+        eventId: current.eventId,
+        organizerId: current.organizerId,
+        amount: current.amount,
+        platformFee: current.platformFee,
+        organizerAmount: current.organizerAmount,
+        currency: current.currency,
+        type: 'refund_reversal',
+        provider: current.provider || 'paystack',
+        status: 'success',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+
+      return current
+    })
+
+    if (!refund) return
+
+    await db.collection('notifications').add({
+      type: 'refund_failed',
+      title: '⚠️ Refund Failed',
+      message: `A refund of ${formatMoney(refund.amount, refund.currency)} for order ${refund.reference} failed. The tickets stay cancelled.`,
+      userId: refund.organizerId || 'platform',
+      reference: refund.reference,
+      read: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    console.error('❌ Refund failed:', refundSnap.id)
+    return
+  }
+
+  await refundSnap.ref.update({
+    providerStatus: type,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
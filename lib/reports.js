@@ -0,0 +1,361 @@
+import PDFDocument from 'pdfkit'
+import { admin, db } from './firebase.js'
+import { badRequest } from './errors.js'
+import { DEFAULT_CURRENCY, formatMoney, roundMoney } from './currency.js'
+
+/* =======================
+   FINANCIAL REPORTS
+   Statements for a date range, built from wallet_transactions (money)
+   and tickets (counts). Every figure is kept per currency.
+   Organizer: per-event gross, platform fees, refunds and net, plus
+   settlements and withdrawals. Platform: fee revenue per currency and
+   the withdrawals made through /api/admin/withdraw.
+======================= */
+
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS = 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * `from`/`to` from the query string. Defaults to the last 30 days; a bare
+ * date for `to` includes that whole day.
+ */
+export const parseReportRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date()
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999)
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS)
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw badRequest('from and to must be dates, e.g. 2025-01-31')
+  }
+  if (start > end) throw badRequest('from must be before to')
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw badRequest(`Reports can cover at most ${MAX_RANGE_DAYS} days`)
+  }
+
+  return { from: start, to: end }
+}
+
+const inRange = (query, { from, to }) =>
+  query
+    .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(from))
+    .where('createdAt', '<=', admin.firestore.Timestamp.fromDate(to))
+
+const rowDate = row => row.createdAt?.toDate?.() || null
+
+const round = (value, currency) => roundMoney(value || 0, currency)
+
+const addTo = (target, key, value) => {
+  target[key] = (target[key] || 0) + (value || 0)
+}
+
+const roundAll = (totals, currency) =>
+  Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value, currency)]))
+
+/* =======================
+   ORGANIZER STATEMENT
+======================= */
+export const buildOrganizerReport = async ({ organizerId, from, to }) => {
+  const [rowSnap, ticketSnap] = await Promise.all([
+    inRange(db.collection('wallet_transactions').where('organizerId', '==', organizerId), { from, to }).get(),
+    inRange(db.collection('tickets').where('organizerId', '==', organizerId), { from, to }).get()
+  ])
+
+  const events = new Map()
+  const eventRow = (eventId, eventName, currency) => {
+    const key = `${eventId}|${currency}`
+    if (!events.has(key)) {
+      events.set(key, {
+        eventId,
+        eventName: eventName || null,
+        currency,
+        ticketsSold: 0,
+        ticketsRefunded: 0,
+        gross: 0,
+        platformFees: 0,
+        refunds: 0,
+        net: 0
+      })
+    }
+    const row = events.get(key)
+    if (!row.eventName && eventName) row.eventName = eventName
+    return row
+  }
+
+  const totals = {}
+  const totalsFor = currency => {
+    totals[currency] = totals[currency] || { gross: 0, platformFees: 0, refunds: 0, net: 0, settlements: 0, withdrawals: 0 }
+    return totals[currency]
+  }
+
+  const transactions = []
+
+  for (const doc of rowSnap.docs) {
+    const row = doc.data()
+    const currency = row.currency || DEFAULT_CURRENCY
+    const summary = totalsFor(currency)
+    let amount = row.amount ?? row.grossAmount ?? 0
+
+    if (row.type === 'ticket_sale') {
+      const event = eventRow(row.eventId, row.eventName, currency)
+      addTo(event, 'gross', row.grossAmount)
+      addTo(event, 'platformFees', row.platformFee)
+      addTo(event, 'net', row.organizerAmount)
+      addTo(summary, 'gross', row.grossAmount)
+      addTo(summary, 'platformFees', row.platformFee)
+      addTo(summary, 'net', row.organizerAmount)
+      amount = row.grossAmount
+    } else if (row.type === 'refund' || row.type === 'refund_reversal') {
+      // A reversal is a refund that failed, so it puts the money back
+      const sign = row.type === 'refund' ? 1 : -1
+      const event = eventRow(row.eventId, null, currency)
+      addTo(event, 'refunds', sign * row.amount)
+      addTo(event, 'platformFees', -sign * row.platformFee)
+      addTo(event, 'net', -sign * row.organizerAmount)
+      addTo(summary, 'refunds', sign * row.amount)
+      addTo(summary, 'platformFees', -sign * row.platformFee)
+      addTo(summary, 'net', -sign * row.organizerAmount)
+    } else if (row.type === 'settlement') {
+      addTo(summary, 'settlements', row.amount)
+    } else if (row.type === 'withdrawal') {
+      if (['success', 'paid'].includes(row.status || 'success')) addTo(summary, 'withdrawals', row.amount)
+    }
+
+    transactions.push({
+      date: rowDate(row),
+      type: row.type,
+      eventName: row.eventName || null,
+      reference: row.reference || doc.id,
+      status: row.status || null,
+      currency,
+      amount: round(amount, currency),
+      platformFee: row.platformFee ?? null,
+      organizerAmount: row.organizerAmount ?? null
+    })
+  }
+
+  for (const doc of ticketSnap.docs) {
+    const ticket = doc.data()
+    const event = eventRow(ticket.eventId, ticket.eventName, ticket.currency || DEFAULT_CURRENCY)
+    if (ticket.status === 'cancelled') event.ticketsRefunded++
+    else event.ticketsSold++
+  }
+
+  return {
+    kind: 'organizer',
+    organizerId,
+    from,
+    to,
+    totals: Object.fromEntries(
+      Object.entries(totals).map(([currency, summary]) => [currency, roundAll(summary, currency)])
+    ),
+    events: [...events.values()]
+      .map(event => ({ ...event, ...roundAll({ gross: event.gross, platformFees: event.platformFees, refunds: event.refunds, net: event.net }, event.currency) }))
+      .sort((a, b) => (a.eventName || '').localeCompare(b.eventName || '')),
+    transactions: transactions.sort((a, b) => (a.date || 0) - (b.date || 0))
+  }
+}
+
+/* =======================
+   PLATFORM STATEMENT
+======================= */
+export const buildPlatformReport = async ({ from, to }) => {
+  const rowSnap = await inRange(
+    db.collection('wallet_transactions').where('type', 'in', ['ticket_sale', 'refund', 'refund_reversal', 'platform_withdrawal']),
+    { from, to }
+  ).get()
+
+  const totals = {}
+  const totalsFor = currency => {
+    totals[currency] = totals[currency] || { gross: 0, feeRevenue: 0, feesRefunded: 0, netRevenue: 0, withdrawals: 0 }
+    return totals[currency]
+  }
+
+  const events = new Map()
+  const withdrawals = []
+
+  for (const doc of rowSnap.docs) {
+    const row = doc.data()
+    const currency = row.currency || DEFAULT_CURRENCY
+    const summary = totalsFor(currency)
+
+    if (row.type === 'platform_withdrawal') {
+      addTo(summary, 'withdrawals', row.amount)
+      withdrawals.push({
+        date: rowDate(row),
+        currency,
+        amount: row.amount,
+        adminId: row.adminId || null,
+        status: row.status || 'success'
+      })
+      continue
+    }
+
+    const key = `${row.eventId}|${currency}`
+    if (!events.has(key)) {
+      events.set(key, { eventId: row.eventId, eventName: row.eventName || null, organizerId: row.organizerId, currency, gross: 0, feeRevenue: 0, feesRefunded: 0 })
+    }
+    const event = events.get(key)
+
+    if (row.type === 'ticket_sale') {
+      addTo(summary, 'gross', row.grossAmount)
+      addTo(summary, 'feeRevenue', row.platformFee)
+      addTo(event, 'gross', row.grossAmount)
+      addTo(event, 'feeRevenue', row.platformFee)
+      if (!event.eventName) event.eventName = row.eventName || null
+    } else {
+      const sign = row.type === 'refund' ? 1 : -1
+      addTo(summary, 'feesRefunded', sign * row.platformFee)
+      addTo(event, 'feesRefunded', sign * row.platformFee)
+    }
+  }
+
+  for (const summary of Object.values(totals)) {
+    summary.netRevenue = summary.feeRevenue - summary.feesRefunded
+  }
+
+  return {
+    kind: 'platform',
+    from,
+    to,
+    totals: Object.fromEntries(
+      Object.entries(totals).map(([currency, summary]) => [currency, roundAll(summary, currency)])
+    ),
+    events: [...events.values()]
+      .map(event => ({
+        ...event,
+        ...roundAll({ gross: event.gross, feeRevenue: event.feeRevenue, feesRefunded: event.feesRefunded }, event.currency),
+        netRevenue: round(event.feeRevenue - event.feesRefunded, event.currency)
+      }))
+      .sort((a, b) => b.netRevenue - a.netRevenue),
+    withdrawals: withdrawals.sort((a, b) => (a.date || 0) - (b.date || 0))
+  }
+}
+
+/* =======================
+   RENDERING
+======================= */
+
+// Each report is a few labelled tables; CSV and PDF render the same ones
+const reportSections = report => {
+  const date = value => (value ? value.toISOString() : '')
+
+  if (report.kind === 'organizer') {
+    return [
+      {
+        title: 'Summary',
+        columns: ['Currency', 'Gross sales', 'Platform fees', 'Refunds', 'Net earnings', 'Settlements', 'Withdrawals'],
+        rows: Object.entries(report.totals).map(([currency, t]) =>
+          [currency, t.gross, t.platformFees, t.refunds, t.net, t.settlements, t.withdrawals])
+      },
+      {
+        title: 'Events',
+        columns: ['Event', 'Currency', 'Tickets sold', 'Tickets refunded', 'Gross sales', 'Platform fees', 'Refunds', 'Net earnings'],
+        rows: report.events.map(e =>
+          [e.eventName || e.eventId, e.currency, e.ticketsSold, e.ticketsRefunded, e.gross, e.platformFees, e.refunds, e.net])
+      },
+      {
+        title: 'Transactions',
+        columns: ['Date', 'Type', 'Event', 'Reference', 'Status', 'Currency', 'Amount', 'Platform fee', 'Organizer amount'],
+        rows: report.transactions.map(t =>
+          [date(t.date), t.type, t.eventName || '', t.reference, t.status || '', t.currency, t.amount, t.platformFee ?? '', t.organizerAmount ?? ''])
+      }
+    ]
+  }
+
+  return [
+    {
+      title: 'Summary',
+      columns: ['Currency', 'Gross sales', 'Fee revenue', 'Fees refunded', 'Net revenue', 'Withdrawals'],
+      rows: Object.entries(report.totals).map(([currency, t]) =>
+        [currency, t.gross, t.feeRevenue, t.feesRefunded, t.netRevenue, t.withdrawals])
+    },
+    {
+      title: 'Events',
+      columns: ['Event', 'Organizer', 'Currency', 'Gross sales', 'Fee revenue', 'Fees refunded', 'Net revenue'],
+      rows: report.events.map(e =>
+        [e.eventName || e.eventId, e.organizerId, e.currency, e.gross, e.feeRevenue, e.feesRefunded, e.netRevenue])
+    },
+    {
+      title: 'Platform withdrawals',
+      columns: ['Date', 'Currency', 'Amount', 'Admin', 'Status'],
+      rows: report.withdrawals.map(w => [date(w.date), w.currency, w.amount, w.adminId || '', w.status])
+    }
+  ]
+}
+
+// Text a spreadsheet would run as a formula (e.g. an event name) gets a
+// leading '; numbers, negative amounts included, stay as they are
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const csvCell = value => {
+  const raw = value === null || value === undefined ? '' : String(value)
+  const text = typeof value !== 'number' && FORMULA_START.test(raw) ? `'${raw}` : raw
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const renderReportCsv = report => {
+  const lines = [
+    [report.kind === 'organizer' ? 'Organizer statement' : 'Platform statement'],
+    ['From', report.from.toISOString()],
+    ['To', report.to.toISOString()]
+  ]
+
+  for (const section of reportSections(report)) {
+    lines.push([], [section.title], section.columns, ...section.rows)
+  }
+
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Stream the report as a PDF into `output` (e.g. the Express response).
+ */
+export const renderReportPdf = (report, output) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 })
+  doc.pipe(output)
+
+  const title = report.kind === 'organizer' ? 'Airticks Organizer Statement' : 'Airticks Platform Statement'
+  const day = value => value.toISOString().slice(0, 10)
+
+  doc.fontSize(18).text(title)
+  doc.fontSize(10).fillColor('#555')
+    .text(`${day(report.from)} to ${day(report.to)}`)
+    .text(`Generated ${new Date().toISOString()}`)
+    .fillColor('#000')
+    .moveDown()
+
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+
+  for (const section of reportSections(report)) {
+    const width = pageWidth / section.columns.length
+    // Money columns are plain numbers in the rows; show them in the row's currency
+    const currencyIndex = section.columns.indexOf('Currency')
+    const cell = (value, row, index) =>
+      typeof value === 'number' && currencyIndex !== -1 && index !== currencyIndex && !/Tickets/.test(section.columns[index])
+        ? formatMoney(value, row[currencyIndex])
+        : String(value ?? '')
+
+    const drawRow = (cells, { bold = false } = {}) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage()
+      const y = doc.y
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+      cells.forEach((text, index) => {
+        doc.text(text, doc.page.margins.left + index * width, y, { width: width - 4, ellipsis: true, lineBreak: false })
+      })
+      doc.moveDown(0.6)
+      doc.x = doc.page.margins.left
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text(section.title, doc.page.margins.left)
+    doc.moveDown(0.3)
+    drawRow(section.columns, { bold: true })
+
+    if (section.rows.length === 0) drawRow(['Nothing in this period'])
+    section.rows.forEach(row => drawRow(row.map((value, index) => cell(value, row, index))))
+
+    doc.moveDown()
+  }
+
+  doc.end()
+}
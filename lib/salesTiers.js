@@ -0,0 +1,230 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, notFound } from './errors.js'
+import { getTicketField, getTicketList, getTicketName } from './pricing.js'
+import { availableSeats } from './inventory.js'
+
+/* =======================
+   SALE WINDOWS & TIERS
+   Optional fields on a ticket type in the event's ticket list:
+     salesStart  ISO time it goes on sale
+     salesEnd    ISO time it comes off sale
+     salesLimit  tier closes once this many are sold (held seats count)
+     nextTierId  ticket type that takes over when this one closes
+   e.g. early bird (salesLimit 100, nextTierId 'regular') -> regular
+   (salesEnd on the event day, nextTierId 'gate') -> gate.
+   Checkout follows nextTierId from whatever the buyer picked to the tier
+   on sale now, so a stale early-bird link buys at the regular price.
+======================= */
+
+export const TIER_STATUSES = ['upcoming', 'on_sale', 'ended', 'sold_out']
+
+const toDate = value => {
+  if (!value) return null
+  const date = value.toDate?.() || new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const optionalDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = toDate(value)
+  if (!date) throw badRequest(`Invalid ${label}`)
+  return date.toISOString()
+}
+
+/** Whether `now` is inside the ticket type's salesStart/salesEnd. */
+export const inSaleWindow = (ticket, now = new Date()) => {
+  const startsAt = toDate(ticket.salesStart)
+  const endsAt = toDate(ticket.salesEnd)
+  return !(startsAt && now < startsAt) && !(endsAt && now >= endsAt)
+}
+
+/**
+ * Throw unless `ticketId` is inside its sale window. For seats that are
+ * already held (waiting-list offers), where only the dates still matter.
+ */
+export const assertSaleWindowOpen = (event, ticketId, now = new Date()) => {
+  const ticket = getTicketList(event).find(t => t.id === ticketId)
+  if (!ticket) throw badRequest('Ticket type not found')
+  if (inSaleWindow(ticket, now)) return
+
+  const startsAt = toDate(ticket.salesStart)
+  if (startsAt && now < startsAt) {
+    throw badRequest(`${getTicketName(ticket)} goes on sale at ${startsAt.toISOString()}`)
+  }
+  throw conflict(`Sales have ended for ${getTicketName(ticket)}`)
+}
+
+/**
+ * Where a ticket type stands at `now`. A tier that hit its salesLimit
+ * has 'ended'; one out of seats for any other reason is 'sold_out'.
+ */
+export const tierStatus = (ticket, now = new Date()) => {
+  const startsAt = toDate(ticket.salesStart)
+  const endsAt = toDate(ticket.salesEnd)
+
+  if (startsAt && now < startsAt) return 'upcoming'
+  if (endsAt && now >= endsAt) return 'ended'
+  if (availableSeats(ticket) > 0) return 'on_sale'
+
+  const limit = ticket.salesLimit ?? null
+  return limit !== null && (ticket.sold || 0) + (ticket.held || 0) >= Number(limit) ? 'ended' : 'sold_out'
+}
+
+/**
+ * The ticket type to sell in place of `ticketId`: itself while on sale,
+ * otherwise the first tier down its nextTierId chain that is.
+ * Throws when the chain has nothing on sale.
+ */
+export const resolveActiveTier = (event, ticketId, now = new Date()) => {
+  const ticketList = getTicketList(event)
+  const seen = new Set()
+  let ticket = ticketList.find(t => t.id === ticketId)
+  if (!ticket) throw badRequest('Ticket type not found')
+
+  const requested = ticket
+  while (ticket && !seen.has(ticket.id)) {
+    seen.add(ticket.id)
+
+    const status = tierStatus(ticket, now)
+    if (status === 'on_sale') return ticket
+    if (status === 'upcoming') {
+      throw badRequest(`${getTicketName(ticket)} goes on sale at ${toDate(ticket.salesStart).toISOString()}`)
+    }
+
+    ticket = ticket.nextTierId ? ticketList.find(t => t.id === ticket.nextTierId) : null
+  }
+
+  throw conflict(
+    tierStatus(requested, now) === 'sold_out'
+      ? `${getTicketName(requested)} is sold out`
+      : `Sales have ended for ${getTicketName(requested)}`
+  )
+}
+
+/**
+ * Point each cart line at the tier on sale now. Lines that land on the
+ * same tier are merged, attendees and all.
+ */
+export const applyActiveTiers = (event, cartItems, now = new Date()) => {
+  const byTier = new Map()
+
+  for (const item of cartItems) {
+    const tier = resolveActiveTier(event, item.ticketId, now)
+    const existing = byTier.get(tier.id)
+
+    byTier.set(tier.id, existing
+      ? { ...existing, quantity: existing.quantity + item.quantity, attendees: [...existing.attendees, ...item.attendees] }
+      : { ...item, ticketId: tier.id })
+  }
+
+  return [...byTier.values()]
+}
+
+/* =======================
+   ORGANIZER SETUP
+======================= */
+export const parseSalesSchedule = (input, ticketList, ticketTypeId) => {
+  const salesStart = optionalDate(input?.salesStart, 'salesStart')
+  const salesEnd = optionalDate(input?.salesEnd, 'salesEnd')
+  if (salesStart && salesEnd && salesStart >= salesEnd) throw badRequest('salesStart must be before salesEnd')
+
+  const salesLimit = input?.salesLimit === undefined || input.salesLimit === null || input.salesLimit === ''
+    ? null
+    : Number(input.salesLimit)
+  if (salesLimit !== null && (!Number.isInteger(salesLimit) || salesLimit < 1)) {
+    throw badRequest('salesLimit must be a whole number of at least 1')
+  }
+
+  const nextTierId = input?.nextTierId || null
+  if (nextTierId) {
+    if (!ticketList.some(ticket => ticket.id === nextTierId)) throw badRequest('nextTierId is not a ticket type of this event')
+
+    // Walking on from the next tier must never come back here
+    const seen = new Set([ticketTypeId])
+    let id = nextTierId
+    while (id) {
+      if (seen.has(id)) throw badRequest('nextTierId would make a loop of tiers')
+      seen.add(id)
+      id = ticketList.find(ticket => ticket.id === id)?.nextTierId
+    }
+  }
+
+  return { salesStart, salesEnd, salesLimit, nextTierId }
+}
+
+export const setSalesSchedule = async ({ eventId, ticketTypeId, input }) => {
+  const eventRef = db.collection('events').doc(eventId)
+
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(eventRef)
+    const event = snap.data()
+    const ticketList = getTicketList(event)
+    if (!ticketList.some(ticket => ticket.id === ticketTypeId)) throw notFound('Ticket type not found')
+
+    const schedule = parseSalesSchedule(input, ticketList, ticketTypeId)
+
+    tx.update(eventRef, {
+      [getTicketField(event)]: ticketList.map(ticket =>
+        ticket.id === ticketTypeId ? { ...ticket, ...schedule } : ticket
+      ),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return schedule
+  })
+}
+
+/* =======================
+   PUBLIC TIER VIEW
+======================= */
+const secondsUntil = (date, now) => (date ? Math.max(0, Math.round((date - now) / 1000)) : null)
+
+const serializeTier = (ticket, event, now) => {
+  const status = tierStatus(ticket, now)
+  const left = availableSeats(ticket)
+
+  return {
+    ticketTypeId: ticket.id,
+    name: getTicketName(ticket),
+    price: event.isFree === true ? 0 : Number(ticket.price ?? 0),
+    currency: ticket.currency || event.currency || null,
+    status,
+    salesStart: toDate(ticket.salesStart)?.toISOString() || null,
+    salesEnd: toDate(ticket.salesEnd)?.toISOString() || null,
+    remaining: left === Infinity ? null : left,
+    startsIn: status === 'upcoming' ? secondsUntil(toDate(ticket.salesStart), now) : null,
+    endsIn: status === 'on_sale' ? secondsUntil(toDate(ticket.salesEnd), now) : null,
+    nextTierId: ticket.nextTierId || null
+  }
+}
+
+/**
+ * Every tier's status, plus what each tier chain is selling right now.
+ * A chain starts at a ticket type no other tier points to.
+ */
+export const currentTiers = (event, now = new Date()) => {
+  const ticketList = getTicketList(event)
+  const tiers = ticketList.map(ticket => serializeTier(ticket, event, now))
+  const pointedTo = new Set(ticketList.map(ticket => ticket.nextTierId).filter(Boolean))
+
+  const current = ticketList
+    .filter(ticket => !pointedTo.has(ticket.id))
+    .map(head => {
+      const seen = new Set()
+      let ticket = head
+      let found = null
+      while (ticket && !seen.has(ticket.id)) {
+        seen.add(ticket.id)
+        // An upcoming tier is what's next, even though it can't be bought yet
+        if (['on_sale', 'upcoming'].includes(tierStatus(ticket, now))) {
+          found = ticket
+          break
+        }
+        ticket = ticket.nextTierId ? ticketList.find(t => t.id === ticket.nextTierId) : null
+      }
+
+      return { chainStartId: head.id, tier: found && serializeTier(found, event, now) }
+    })
+
+  return { now: now.toISOString(), current, tiers }
+}
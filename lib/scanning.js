@@ -0,0 +1,415 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { HttpError, badRequest } from './errors.js'
+import { listEventPublicKeys, verifyTicketToken } from './ticketTokens.js'
+import { DEFAULT_TIMEZONE, entryPolicyFor, entryStateOf, evaluateEntry } from './entryPolicies.js'
+import { getTicketList } from './pricing.js'
+
+/* =======================
+   TICKET SCANNING
+   Online scans (/api/tickets/verify) and scans a device recorded offline
+   and synced later go through scanTicket, and each one is logged in
+   ticket_scans/{id}:
+     { eventId, ticketId, deviceId, localId, source, gate, action,
+       scannerId, scannedAt (device time), receivedAt, result, reason }
+   The log is append-only: a scan record is never changed after it's
+   written.
+
+   Whether a scan lets someone in is up to the ticket type's entry
+   policy (entryPolicies.js). For single-entry tickets scanned at two
+   gates, the scan with the earliest device time admits the ticket (ties:
+   lowest deviceId, then localId), whatever order the scans reach us in;
+   a late-arriving earlier scan is logged with `supersedes` pointing at
+   the scan it replaces as the ticket's first scan. Other policies count
+   scans in the order they reach us.
+======================= */
+
+export const ONLINE_DEVICE = 'online'
+
+// Offline batches are capped so one sync stays well inside a request
+const MAX_SYNC_SCANS = 500
+
+// Device clocks drift, but not this far ahead of ours
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+const scansRef = () => db.collection('ticket_scans')
+
+export const SCAN_MESSAGES = {
+  admitted: 'Ticket admitted.',
+  checked_out: 'Ticket checked out. The holder can come back in.',
+  duplicate: 'Ticket already used.',
+  entries_exhausted: 'This ticket has used all of its entries.',
+  used_today: 'This ticket has already been used today.',
+  not_valid_today: 'This ticket is not valid today.',
+  already_inside: 'This ticket is already checked in. Check it out first.',
+  not_inside: 'This ticket is not checked in.',
+  check_out_not_allowed: 'This ticket does not allow re-entry.',
+  not_found: 'Ticket not found.',
+  wrong_event: 'This ticket is for a different event.',
+  replaced: 'This ticket code has been replaced. Ask the holder for their latest ticket.',
+  signed_code_required: 'This ticket has a signed code. Scan its QR code instead.',
+  cancelled: 'This ticket has been cancelled.',
+  invalid: 'Invalid ticket code.'
+}
+
+// Results that let the scan through
+export const SCAN_ACCEPTED = ['admitted', 'checked_out']
+
+const scannerName = scanner =>
+  scanner.fullName || scanner.displayName || scanner.name || 'Admin'
+
+// Earliest device time first, then deviceId, then the device's own scan id
+const compareScans = (a, b) =>
+  a.scannedAt - b.scannedAt ||
+  a.deviceId.localeCompare(b.deviceId) ||
+  (a.localId || '').localeCompare(b.localId || '')
+
+// The scan that currently admits a ticket. Tickets scanned before scans
+// were logged only have scannedAt.
+const firstScanOf = ticket => ({
+  scanId: ticket.firstScanId || null,
+  deviceId: ticket.scanDeviceId || ONLINE_DEVICE,
+  localId: ticket.scanLocalId || null,
+  scannedAt: ticket.scannedAt?.toDate?.() || new Date(0),
+  scannedByName: ticket.scannedByName || null
+})
+
+/**
+ * Validate and record one scan.
+ * `scan` = { code | ticketId, deviceId, localId?, scannedAt: Date, gate?, action?, source }
+ * `action` is 'check_in' (default) or 'check_out' for re-entry tickets.
+ * `scanner` = { uid, ...users doc }; `eventId` pins the scan to one event.
+ * Returns { result, message, scanId, ticketId, ticket, firstScan }.
+ */
+export const scanTicket = async ({ scan, scanner, eventId = null }) => {
+  const deviceId = scan.deviceId || ONLINE_DEVICE
+  const localId = scan.localId ? String(scan.localId) : null
+
+  // Resubmitting the same offline scan returns what it got the first time.
+  // Both ids come from the client, so the key is scoped to event and scanner.
+  const scanRef = localId
+    ? scansRef().doc(
+        crypto.createHash('sha256').update(`${eventId || ''}:${scanner.uid}:${deviceId}:${localId}`).digest('hex').slice(0, 40)
+      )
+    : scansRef().doc()
+
+  const log = {
+    eventId,
+    ticketId: null,
+    deviceId,
+    localId,
+    source: scan.source || 'online',
+    gate: scan.gate || null,
+    action: scan.action === 'check_out' ? 'check_out' : 'check_in',
+    policy: null,
+    scannerId: scanner.uid,
+    scannerName: scannerName(scanner),
+    scannedAt: admin.firestore.Timestamp.fromDate(scan.scannedAt),
+    receivedAt: admin.firestore.FieldValue.serverTimestamp()
+  }
+
+  // The signature is checked before any ticket is read
+  let claims = null
+  if (scan.code) {
+    try {
+      claims = await verifyTicketToken(scan.code)
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err
+      return recordRejection(scanRef, log, 'invalid', err.message)
+    }
+  }
+
+  const ticketId = claims ? claims.ticketId : scan.ticketId
+  if (!ticketId) return recordRejection(scanRef, log, 'invalid', 'No ticket code')
+
+  if (claims && eventId && claims.eventId !== eventId) {
+    return recordRejection(scanRef, { ...log, ticketId }, 'wrong_event')
+  }
+
+  const ticketRef = db.collection('tickets').doc(ticketId)
+
+  return db.runTransaction(async tx => {
+    const [previousScan, ticketSnap] = await Promise.all([
+      localId ? tx.get(scanRef) : null,
+      tx.get(ticketRef)
+    ])
+
+    if (previousScan?.exists) {
+      const previous = previousScan.data()
+      const expectedEventId = eventId || claims?.eventId || null
+      if (expectedEventId && previous.eventId !== expectedEventId) {
+        return {
+          result: 'invalid',
+          message: 'This scan id was already used for another event',
+          scanId: null,
+          ticketId,
+          ticket: null
+        }
+      }
+
+      return {
+        result: previous.result,
+        message: previous.reason || SCAN_MESSAGES[previous.result],
+        scanId: scanRef.id,
+        ticketId,
+        ticket: ticketSnap.data() || null,
+        firstScan: ticketSnap.exists ? firstScanOf(ticketSnap.data()) : null
+      }
+    }
+
+    const entry = { ...log, ticketId, eventId: eventId || claims?.eventId || ticketSnap.data()?.eventId || null }
+    const reject = (result, extra = {}) => {
+      tx.create(scanRef, { ...entry, result, reason: SCAN_MESSAGES[result] })
+      return { result, message: SCAN_MESSAGES[result], scanId: scanRef.id, ticketId, ...extra }
+    }
+
+    if (!ticketSnap.exists) return reject('not_found', { ticket: null })
+
+    const ticket = ticketSnap.data()
+
+    if (eventId && ticket.eventId !== eventId) return reject('wrong_event', { ticket })
+    if (claims && (ticket.eventId !== claims.eventId || ticket.qrToken !== scan.code)) return reject('replaced', { ticket })
+    if (!claims && ticket.qrToken) return reject('signed_code_required', { ticket })
+    if (ticket.status === 'cancelled') return reject('cancelled', { ticket })
+
+    const incoming = { scanId: scanRef.id, deviceId, localId, scannedAt: scan.scannedAt, scannedByName: log.scannerName }
+
+    const eventSnap = await tx.get(db.collection('events').doc(ticket.eventId))
+    const event = eventSnap.data() || {}
+    const policy = entryPolicyFor(event, ticket.ticketTypeId)
+    entry.policy = policy.type
+
+    const admit = (result, update, { supersedes = null } = {}) => {
+      // Whether this scan is now the one that first admitted the ticket
+      const isFirst = update.used && (!ticket.used || supersedes)
+
+      tx.update(ticketRef, {
+        ...update,
+        lastScanAt: log.scannedAt,
+        lastScanId: scanRef.id,
+        ...(isFirst
+          ? {
+              scannedAt: log.scannedAt,
+              scannedBy: scanner.uid,
+              scannedByName: log.scannerName,
+              scanDeviceId: deviceId,
+              scanLocalId: localId,
+              firstScanId: scanRef.id
+            }
+          : {})
+      })
+      tx.create(scanRef, { ...entry, result, reason: null, supersedes })
+
+      return {
+        result,
+        message: SCAN_MESSAGES[result],
+        scanId: scanRef.id,
+        ticketId,
+        ticket: { ...ticket, ...update },
+        firstScan: isFirst ? incoming : firstScanOf(ticket),
+        supersedes
+      }
+    }
+
+    // Single entry: a scan recorded before the current first scan takes its place
+    if (policy.type === 'single' && ticket.used && log.action === 'check_in') {
+      const first = firstScanOf(ticket)
+
+      if (compareScans(first, incoming) <= 0) {
+        return reject('duplicate', { ticket, firstScan: first })
+      }
+
+      return admit('admitted', { used: true }, { supersedes: first.scanId })
+    }
+
+    const outcome = evaluateEntry({
+      policy,
+      ticket,
+      scannedAt: scan.scannedAt,
+      action: log.action,
+      timeZone: event.timezone || DEFAULT_TIMEZONE
+    })
+
+    if (!outcome.update) {
+      return reject(outcome.result, { ticket, firstScan: ticket.used ? firstScanOf(ticket) : null })
+    }
+
+    return admit(outcome.result, outcome.update)
+  })
+}
+
+/**
+ * The event a scanned code belongs to, so the scanner's access can be
+ * checked before the scan is applied. Null for codes that don't verify
+ * or tickets that don't exist; scanTicket rejects those without
+ * revealing anything about a ticket.
+ */
+export const resolveScanEvent = async ({ code, ticketId }) => {
+  if (code) {
+    try {
+      return (await verifyTicketToken(code)).eventId
+    } catch (err) {
+      if (err instanceof HttpError) return null
+      throw err
+    }
+  }
+
+  if (!ticketId) return null
+  const snap = await db.collection('tickets').doc(ticketId).get()
+  return snap.data()?.eventId || null
+}
+
+// gRPC ALREADY_EXISTS: the device resubmitted a scan we've already logged
+const ALREADY_EXISTS = 6
+
+const recordRejection = async (scanRef, log, result, reason = SCAN_MESSAGES[result]) => {
+  try {
+    await scanRef.create({ ...log, result, reason })
+  } catch (err) {
+    if (err.code !== ALREADY_EXISTS) throw err
+  }
+  return { result, message: reason, scanId: scanRef.id, ticketId: log.ticketId, ticket: null }
+}
+
+/* =======================
+   OFFLINE MANIFEST
+======================= */
+
+/**
+ * Everything a scanner needs to admit people without a connection: the
+ * event's public keys, each ticket type's entry policy and every live
+ * ticket with its entry state. Codes are sent as hashes,
+ * so a manifest can't be used to print tickets.
+ */
+export const buildScanManifest = async (eventId, event) => {
+  const [keys, ticketSnap] = await Promise.all([
+    listEventPublicKeys(eventId),
+    db.collection('tickets').where('eventId', '==', eventId).get()
+  ])
+
+  const tickets = ticketSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(ticket => ticket.status !== 'cancelled')
+    .map(ticket => ({
+      ticketId: ticket.id,
+      codeHash: ticket.qrToken
+        ? crypto.createHash('sha256').update(ticket.qrToken).digest('base64url')
+        : null,
+      attendeeName: ticket.attendeeName || ticket.buyerName || null,
+      ticketType: ticket.ticketType || null,
+      ticketTypeId: ticket.ticketTypeId || null,
+      used: ticket.used === true,
+      scannedAt: ticket.scannedAt?.toDate?.() || null,
+      ...entryStateOf(ticket)
+    }))
+
+  const entryPolicies = Object.fromEntries(
+    getTicketList(event).map(ticketType => [ticketType.id, entryPolicyFor(event, ticketType.id)])
+  )
+
+  return {
+    eventId,
+    eventName: event.name || null,
+    generatedAt: new Date(),
+    codeHash: 'sha256, base64url, of the QR code content',
+    timezone: event.timezone || DEFAULT_TIMEZONE,
+    entryPolicies,
+    signing: keys,
+    tickets
+  }
+}
+
+/* =======================
+   OFFLINE SYNC
+======================= */
+const parseDeviceTime = value => {
+  const date = typeof value === 'number' ? new Date(value) : new Date(String(value || ''))
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Record a device's offline scans. Scans are applied oldest first, so a
+ * batch resolves the same way however the device ordered it.
+ * Returns one result per scan, keyed by the device's localId.
+ */
+export const syncOfflineScans = async ({ eventId, deviceId, scans, scanner }) => {
+  if (!deviceId || typeof deviceId !== 'string') throw badRequest('deviceId is required')
+  if (deviceId === ONLINE_DEVICE) throw badRequest(`deviceId cannot be "${ONLINE_DEVICE}"`)
+  if (!Array.isArray(scans) || scans.length === 0) throw badRequest('scans must be a non-empty array')
+  if (scans.length > MAX_SYNC_SCANS) throw badRequest(`At most ${MAX_SYNC_SCANS} scans per sync`)
+
+  const latest = Date.now() + MAX_CLOCK_SKEW_MS
+  const parsed = scans.map((scan, index) => {
+    if (!scan?.localId) throw badRequest(`scans[${index}].localId is required`)
+    if (!scan.code && !scan.ticketId) throw badRequest(`scans[${index}] needs a code or ticketId`)
+
+    const scannedAt = parseDeviceTime(scan.scannedAt)
+    if (!scannedAt) throw badRequest(`scans[${index}].scannedAt is not a valid time`)
+    if (scannedAt.getTime() > latest) throw badRequest(`scans[${index}].scannedAt is in the future`)
+
+    return {
+      code: scan.code || null,
+      ticketId: scan.ticketId || null,
+      localId: String(scan.localId),
+      gate: scan.gate || null,
+      action: scan.action || 'check_in',
+      deviceId,
+      scannedAt,
+      source: 'offline'
+    }
+  })
+
+  const results = []
+  for (const scan of parsed.sort(compareScans)) {
+    const outcome = await scanTicket({ scan, scanner, eventId })
+    results.push({
+      localId: scan.localId,
+      ticketId: outcome.ticketId || null,
+      result: outcome.result,
+      message: outcome.message,
+      firstScan: outcome.firstScan
+        ? { deviceId: outcome.firstScan.deviceId, scannedAt: outcome.firstScan.scannedAt }
+        : null
+    })
+  }
+
+  return {
+    eventId,
+    deviceId,
+    admitted: results.filter(r => r.result === 'admitted').length,
+    duplicates: results.filter(r => r.result === 'duplicate').length,
+    rejected: results.filter(r => !SCAN_ACCEPTED.includes(r.result)).length,
+    results
+  }
+}
+
+/* =======================
+   SCAN LOG
+======================= */
+const serializeScan = doc => {
+  const data = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    scannedAt: data.scannedAt?.toDate?.() || null,
+    receivedAt: data.receivedAt?.toDate?.() || null
+  }
+}
+
+/** An event's scans, newest first, optionally for one ticket. */
+export const listScans = async ({ eventId, ticketId, limit = 100, startAfter }) => {
+  let query = scansRef().where('eventId', '==', eventId)
+  if (ticketId) query = query.where('ticketId', '==', ticketId)
+  query = query.orderBy('scannedAt', 'desc').limit(limit)
+
+  if (startAfter) {
+    const cursor = await scansRef().doc(startAfter).get()
+    if (cursor.exists) query = query.startAfter(cursor)
+  }
+
+  const snap = await query.get()
+  return {
+    scans: snap.docs.map(serializeScan),
+    nextPageToken: snap.size === limit ? snap.docs[snap.size - 1].id : null
+  }
+}
@@ -0,0 +1,402 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, notFound } from './errors.js'
+import { PROVIDER_NAMES, getProvider } from './providers/index.js'
+import { formatMoney, fromMinor, roundMoney } from './currency.js'
+import { walletBalance, walletRef } from './wallets.js'
+import { ACCOUNTS, postJournal } from './ledger.js'
+
+/* =======================
+   SETTLEMENT SYNC
+   Walks every page of the provider's settlements (per subaccount where the
+   provider lists them that way) since the last cursor and moves each paid
+   settlement from the organizer's pendingBalance to settledBalance. Each provider keeps its own cursor, which only moves
+   past settlements that are booked; an unmapped subaccount holds it back.
+   sync_state/{provider}_settlements   cursor + run lock
+   settlement_sync_runs/{id}           one row per run with its results
+======================= */
+
+const PER_PAGE = 100
+// Re-read a day before the cursor; already-booked settlements are skipped
+const CURSOR_OVERLAP_MS = 24 * 60 * 60 * 1000
+// A run that crashed without releasing the lock stops blocking after this
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000
+
+const stateRefFor = provider => db.collection('sync_state').doc(`${provider}_settlements`)
+
+// Paystack rows keep the ids they had before there was more than one provider
+const ledgerRef = (provider, settlementId) =>
+  db.collection('wallet_transactions').doc(
+    provider === 'paystack' ? `settlement_${settlementId}` : `settlement_${provider}_${settlementId}`
+  )
+
+const acquireLock = async (stateRef, runId) =>
+  db.runTransaction(async tx => {
+    const snap = await tx.get(stateRef)
+    const state = snap.data() || {}
+    const lockedAt = state.lock?.lockedAt?.toMillis() || 0
+
+    if (state.lock && Date.now() - lockedAt < LOCK_TIMEOUT_MS) {
+      throw conflict('A settlement sync is already running')
+    }
+
+    tx.set(stateRef, {
+      lock: { runId, lockedAt: admin.firestore.Timestamp.now() }
+    }, { merge: true })
+
+    return state.cursor || null
+  })
+
+const releaseLock = async (stateRef, cursor) =>
+  stateRef.set({
+    lock: admin.firestore.FieldValue.delete(),
+    ...(cursor ? { cursor } : {}),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true })
+
+/**
+ * Settlement ids already booked, including rows written before settlement
+ * rows had deterministic ids. One query per 30 ids instead of one each.
+ */
+const findBookedSettlements = async (provider, settlementRefs) => {
+  const booked = new Set()
+
+  for (let i = 0; i < settlementRefs.length; i += 30) {
+    const snap = await db
+      .collection('wallet_transactions')
+      .where('type', '==', 'settlement')
+      .where('source', '==', provider)
+      .where('reference', 'in', settlementRefs.slice(i, i + 30))
+      .get()
+
+    snap.docs.forEach(doc => booked.add(doc.data().reference))
+  }
+
+  return booked
+}
+
+/**
+ * Book one settlement. The organizer is credited at most their
+ * pendingBalance; anything the provider settled beyond that is parked in
+ * the suspense account until an admin resolves it. Returns the mismatch
+ * details when that happens.
+ */
+const bookSettlement = async ({ provider, settlement, organizerId, runId }) => {
+  const settlementRef = settlement.id
+  const { currency } = settlement
+  const settlementAmount = fromMinor(settlement.amountMinor, currency)
+  const paidAt = new Date(settlement.paidAt)
+
+  return db.runTransaction(async tx => {
+    const [walletSnap, existing] = await Promise.all([
+      tx.get(walletRef(organizerId)),
+      tx.get(ledgerRef(provider, settlementRef))
+    ])
+
+    if (existing.exists) return { booked: false }
+
+    const pendingBalance = walletBalance(walletSnap.data(), currency, 'pendingBalance')
+    const bookedAmount = roundMoney(Math.min(settlementAmount, Math.max(pendingBalance, 0)), currency)
+    const shortfall = roundMoney(settlementAmount - bookedAmount, currency)
+    const mismatch = shortfall > 0
+
+    // The unexplained part leaves the provider's clearing account but reaches no wallet
+    const journalId = postJournal(tx, {
+      id: `settlement_${provider}_${settlementRef}`,
+      type: 'settlement',
+      currency,
+      reference: settlementRef,
+      lines: [
+        { account: ACCOUNTS.pending(organizerId), debit: bookedAmount },
+        { account: ACCOUNTS.settled(organizerId), credit: bookedAmount },
+        ...(mismatch
+          ? [
+              { account: ACCOUNTS.clearing(provider), debit: shortfall },
+              { account: ACCOUNTS.settlementSuspense, credit: shortfall }
+            ]
+          : [])
+      ]
+    })
+    tx.set(walletRef(organizerId), {
+      lastPaidAt: admin.firestore.Timestamp.fromDate(paidAt)
+    }, { merge: true })
+
+    tx.set(ledgerRef(provider, settlementRef), {
+      organizerId,
+      journalId,
+      reference: settlementRef,
+      amount: bookedAmount,
+      grossAmount: settlementAmount,
+      currency,
+      type: 'settlement',
+      status: mismatch ? 'needs_review' : 'paid',
+      source: provider,
+      provider,
+      syncRunId: runId,
+      mismatch,
+      ...(mismatch ? { pendingBalanceBefore: pendingBalance, shortfall } : {}),
+      paidAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return {
+      booked: true,
+      amount: bookedAmount,
+      mismatch: mismatch
+        ? { organizerId, reference: settlementRef, currency, settlementAmount, pendingBalance, shortfall }
+        : null
+    }
+  })
+}
+
+/* =======================
+   SHORTFALL REVIEW
+   A settlement that exceeded pendingBalance sits as `needs_review` with its
+   shortfall in suspense until an admin either credits it to the organizer
+   ('settle') or hands it back to the provider's clearing account ('return').
+======================= */
+
+const RESOLUTIONS = ['settle', 'return']
+
+export const listSettlementReviews = async () => {
+  const snap = await db
+    .collection('wallet_transactions')
+    .where('type', '==', 'settlement')
+    .where('status', '==', 'needs_review')
+    .get()
+
+  return snap.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+    paidAt: doc.data().paidAt?.toDate() || null,
+    createdAt: doc.data().createdAt?.toDate() || null
+  }))
+}
+
+export const resolveSettlementShortfall = async ({ id, resolution, resolvedBy, note = null }) => {
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw badRequest(`resolution must be one of ${RESOLUTIONS.join(', ')}`)
+  }
+
+  const rowRef = db.collection('wallet_transactions').doc(id)
+
+  return db.runTransaction(async tx => {
+    const rowSnap = await tx.get(rowRef)
+    const row = rowSnap.data()
+
+    if (!rowSnap.exists || row.type !== 'settlement') throw notFound('Settlement not found')
+    if (row.status !== 'needs_review') throw conflict('Settlement is not awaiting review')
+
+    const { organizerId, currency, shortfall, provider } = row
+    const credited = resolution === 'settle'
+
+    const journalId = postJournal(tx, {
+      id: `settlement_review_${id}`,
+      type: 'settlement_review',
+      currency,
+      reference: row.reference,
+      resolution,
+      lines: [
+        { account: ACCOUNTS.settlementSuspense, debit: shortfall },
+        credited
+          ? { account: ACCOUNTS.settled(organizerId), credit: shortfall }
+          : { account: ACCOUNTS.clearing(provider || row.source), credit: shortfall }
+      ]
+    })
+
+    tx.update(rowRef, {
+      status: 'paid',
+      ...(credited ? { amount: roundMoney(row.amount + shortfall, currency) } : {}),
+      review: {
+        resolution,
+        journalId,
+        note,
+        resolvedBy,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    })
+
+    return { id, organizerId, resolution, shortfall, currency }
+  })
+}
+
+/**
+ * What to list settlements for: the whole account, or, for providers that
+ * only list one subaccount at a time, each of that provider's subaccounts.
+ */
+const settlementScopes = async provider => {
+  if (!provider.settlementsPerSubaccount) return [null]
+
+  const snap = await db.collection('subaccounts').where('provider', '==', provider.name).get()
+  return snap.docs.map(doc => doc.id)
+}
+
+/**
+ * Run one sync for one provider. `trigger` is 'schedule', 'manual' or 'cli'.
+ */
+export const syncSettlements = async ({ trigger = 'manual', triggeredBy = null, provider: providerName = 'paystack' } = {}) => {
+  const provider = getProvider(providerName)
+  if (!provider.listSettlements) {
+    throw badRequest(`Settlement sync is not supported for ${provider.name}`)
+  }
+
+  const stateRef = stateRefFor(provider.name)
+  const runRef = db.collection('settlement_sync_runs').doc()
+  const cursor = await acquireLock(stateRef, runRef.id)
+  const from = cursor ? new Date(new Date(cursor).getTime() - CURSOR_OVERLAP_MS) : null
+
+  const run = {
+    provider: provider.name,
+    trigger,
+    triggeredBy,
+    cursorFrom: cursor,
+    pages: 0,
+    fetched: 0,
+    processed: [],
+    mismatches: [],
+    skipped: 0,
+    unmapped: []
+  }
+
+  await runRef.set({
+    provider: provider.name,
+    trigger,
+    triggeredBy,
+    cursorFrom: cursor,
+    status: 'running',
+    startedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  const organizerBySubaccount = new Map()
+  const lookupOrganizer = async subCode => {
+    if (!organizerBySubaccount.has(subCode)) {
+      const subSnap = await db.collection('subaccounts').doc(subCode).get()
+      organizerBySubaccount.set(subCode, subSnap.exists ? subSnap.data().organizerId : null)
+    }
+    return organizerBySubaccount.get(subCode)
+  }
+
+  let latestPaidAt = cursor
+  let earliestSkippedAt = null
+  const advanceCursor = paidAt => {
+    if (!latestPaidAt || new Date(paidAt) > new Date(latestPaidAt)) latestPaidAt = paidAt
+  }
+
+  try {
+    for (const subaccountCode of await settlementScopes(provider)) {
+      for (let page = 1; ; page++) {
+        const { settlements, pageCount } = await provider.listSettlements({ page, perPage: PER_PAGE, from, subaccountCode })
+        run.pages++
+        run.fetched += settlements.length
+
+        const paid = settlements.filter(s => s.status === 'paid' && s.paidAt && s.subaccountCode)
+        run.skipped += settlements.length - paid.length
+
+        const booked = await findBookedSettlements(provider.name, paid.map(s => s.id))
+
+        for (const settlement of paid) {
+          const paidAt = new Date(settlement.paidAt).toISOString()
+
+          if (booked.has(settlement.id)) {
+            advanceCursor(paidAt)
+            continue
+          }
+
+          const organizerId = await lookupOrganizer(settlement.subaccountCode)
+          if (!organizerId) {
+            // Keep the cursor from moving past it so it's picked up once mapped
+            run.skipped++
+            run.unmapped.push(settlement.id)
+            if (!earliestSkippedAt || new Date(paidAt) < new Date(earliestSkippedAt)) earliestSkippedAt = paidAt
+            continue
+          }
+
+          const result = await bookSettlement({ provider: provider.name, settlement, organizerId, runId: runRef.id })
+          advanceCursor(paidAt)
+          if (!result.booked) continue
+
+          const { amount } = result
+          run.processed.push({
+            organizerId,
+            reference: settlement.id,
+            amount,
+            currency: settlement.currency,
+            paidAt: settlement.paidAt
+          })
+          if (result.mismatch) run.mismatches.push(result.mismatch)
+
+          await db.collection('notifications').add({
+            type: 'settlement',
+            title: '💰 Settlement Received',
+            message: `${formatMoney(amount, settlement.currency)} has been settled to your bank`,
+            userId: organizerId,
+            amount,
+            currency: settlement.currency,
+            reference: settlement.id,
+            link: '/dashboard/organization/wallet',
+            read: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          })
+        }
+
+        if (settlements.length === 0 || page >= pageCount) break
+      }
+    }
+
+    if (earliestSkippedAt && (!latestPaidAt || new Date(earliestSkippedAt) < new Date(latestPaidAt))) {
+      latestPaidAt = earliestSkippedAt
+    }
+
+    await runRef.update({
+      status: 'completed',
+      pages: run.pages,
+      fetched: run.fetched,
+      processedCount: run.processed.length,
+      processed: run.processed,
+      mismatches: run.mismatches,
+      skipped: run.skipped,
+      unmapped: run.unmapped,
+      cursorTo: latestPaidAt,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    await releaseLock(stateRef, latestPaidAt)
+  } catch (err) {
+    // Cursor stays put so the next run re-reads everything from here
+    await runRef.update({
+      status: 'failed',
+      error: err.message,
+      pages: run.pages,
+      processedCount: run.processed.length,
+      processed: run.processed,
+      mismatches: run.mismatches,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+    await releaseLock(stateRef, null)
+    throw err
+  }
+
+  if (run.mismatches.length) {
+    console.warn(`⚠️ ${run.mismatches.length} settlement(s) exceeded the organizer's pendingBalance; shortfalls parked for review`, run.mismatches)
+  }
+
+  return { runId: runRef.id, ...run, cursorTo: latestPaidAt }
+}
+
+/** Providers whose adapter can list settlements. */
+export const settlementProviders = () =>
+  PROVIDER_NAMES.filter(name => getProvider(name).listSettlements)
+
+export const listSyncRuns = async (limit = 20) => {
+  const snap = await db
+    .collection('settlement_sync_runs')
+    .orderBy('startedAt', 'desc')
+    .limit(limit)
+    .get()
+
+  return snap.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+    startedAt: doc.data().startedAt?.toDate() || null,
+    finishedAt: doc.data().finishedAt?.toDate() || null
+  }))
+}
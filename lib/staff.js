@@ -0,0 +1,161 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { badRequest, forbidden, notFound } from './errors.js'
+
+/* =======================
+   EVENT STAFF
+   event_staff/{eventId}_{emailHash}
+     { eventId, eventName, organizerId, email, role, status, userId,
+       invitedBy, createdAt, acceptedAt }
+   The organizer invites people by email; the invite becomes active once
+   someone signed in with that email, verified, accepts it.
+     scanner     verifies tickets and syncs offline scans
+     supervisor  the same, plus sees the door team and the scan log
+   Owners and admins can do everything without an assignment.
+======================= */
+
+export const STAFF_ROLES = ['scanner', 'supervisor']
+
+const staffRef = () => db.collection('event_staff')
+
+// Staff ids are derivable from the email, so an unverified account under
+// an invitee's address must never match
+const staffEmail = user => (user.email_verified === true ? user.email?.toLowerCase() || null : null)
+
+export const staffId = (eventId, email) =>
+  `${eventId}_${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 20)}`
+
+const serializeStaff = doc => {
+  const data = doc.data()
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.() || null,
+    acceptedAt: data.acceptedAt?.toDate?.() || null
+  }
+}
+
+/**
+ * Load an event the signed-in user may scan for, with their role:
+ * 'owner' for the organizer and admins, otherwise their staff role.
+ * `roles` narrows which staff roles pass.
+ */
+export const getStaffEvent = async (eventId, user, { roles = STAFF_ROLES } = {}) => {
+  const eventSnap = await db.collection('events').doc(eventId).get()
+  if (!eventSnap.exists) throw notFound('Event not found')
+
+  const event = eventSnap.data()
+  if (event.ownerId === user.uid || user.isAdmin) return { eventSnap, event, role: 'owner' }
+
+  const email = staffEmail(user)
+  const assignment = email
+    ? (await staffRef().doc(staffId(eventId, email)).get()).data()
+    : null
+
+  if (assignment?.status !== 'active' || assignment.userId !== user.uid || !roles.includes(assignment.role)) {
+    throw forbidden('You are not on the door team for this event')
+  }
+
+  return { eventSnap, event, role: assignment.role }
+}
+
+/* =======================
+   INVITES
+======================= */
+export const inviteStaff = async ({ eventId, event, email, role, invitedBy }) => {
+  const address = String(email || '').trim().toLowerCase()
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw badRequest('A valid email is required')
+  if (!STAFF_ROLES.includes(role)) throw badRequest('role must be scanner or supervisor')
+
+  const ref = staffRef().doc(staffId(eventId, address))
+
+  // Re-inviting someone only changes their role; an accepted invite stays accepted
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    const existing = snap.data()
+    const keepActive = existing?.status === 'active'
+
+    const data = {
+      eventId,
+      eventName: event.name || null,
+      organizerId: event.ownerId,
+      email: address,
+      role,
+      status: keepActive ? 'active' : 'invited',
+      userId: keepActive ? existing.userId : null,
+      invitedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(snap.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+    }
+
+    tx.set(ref, data, { merge: true })
+    return { id: ref.id, ...data }
+  })
+}
+
+export const acceptStaffInvite = async ({ inviteId, user }) => {
+  const ref = staffRef().doc(inviteId)
+
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    if (!snap.exists || snap.data().status === 'removed') throw notFound('Invite not found')
+
+    const invite = snap.data()
+    if (user.email?.toLowerCase() !== invite.email) {
+      throw forbidden(`This invite was sent to ${invite.email}`)
+    }
+    if (!staffEmail(user)) throw forbidden('Verify your email address before accepting this invite')
+    if (invite.status === 'active') return { id: snap.id, ...invite }
+
+    const update = {
+      status: 'active',
+      userId: user.uid,
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+    tx.update(ref, update)
+    return { id: snap.id, ...invite, ...update, acceptedAt: new Date() }
+  })
+}
+
+export const removeStaff = async ({ eventId, inviteId }) => {
+  const ref = staffRef().doc(inviteId)
+  const snap = await ref.get()
+  if (!snap.exists || snap.data().eventId !== eventId) throw notFound('Staff member not found')
+
+  await ref.update({
+    status: 'removed',
+    removedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+export const listEventStaff = async eventId => {
+  const snap = await staffRef().where('eventId', '==', eventId).get()
+  return snap.docs.map(serializeStaff).filter(staff => staff.status !== 'removed')
+}
+
+/**
+ * Events a user is on the door team for, plus invites waiting for them.
+ */
+export const listMyStaffEvents = async user => {
+  const email = staffEmail(user)
+  if (!email) return { events: [], invites: [] }
+
+  const [activeSnap, invitedSnap] = await Promise.all([
+    staffRef().where('userId', '==', user.uid).where('status', '==', 'active').get(),
+    staffRef().where('email', '==', email).where('status', '==', 'invited').get()
+  ])
+
+  const pick = staff => ({
+    id: staff.id,
+    eventId: staff.eventId,
+    eventName: staff.eventName,
+    role: staff.role,
+    status: staff.status,
+    acceptedAt: staff.acceptedAt
+  })
+
+  return {
+    events: activeSnap.docs.map(serializeStaff).map(pick),
+    invites: invitedSnap.docs.map(serializeStaff).map(pick)
+  }
+}
@@ -0,0 +1,450 @@
+import crypto from 'crypto'
+import dns from 'dns'
+import fs from 'fs/promises'
+import https from 'https'
+import net from 'net'
+import fetch from 'node-fetch'
+import forge from 'node-forge'
+import JSZip from 'jszip'
+import PDFDocument from 'pdfkit'
+import { eventStartsAt } from './events.js'
+
+/* =======================
+   TICKET RENDERING
+   Turns an issued ticket into what the attendee keeps:
+     PDF            always
+     Apple Wallet   .pkpass, when APPLE_PASS_* is configured
+     Google Wallet  "save" link (signed JWT), when GOOGLE_WALLET_* is configured
+   Every format carries the ticket's signed QR code (ticket.qrToken).
+   The organizer logo comes from event.organizerLogo or event.logo (an
+   https URL on a public host, or a data URL), PNG or JPEG, at most
+   LOGO_MAX_BYTES. Only a PNG goes into the Apple pass.
+
+   Apple:  APPLE_PASS_TYPE_ID, APPLE_TEAM_ID, APPLE_PASS_CERT, APPLE_PASS_KEY,
+           APPLE_PASS_KEY_PASSPHRASE (optional), APPLE_WWDR_CERT, APPLE_PASS_ICON (PNG path)
+   Google: GOOGLE_WALLET_ISSUER_ID, GOOGLE_WALLET_SERVICE_ACCOUNT (JSON key)
+   Certificates and keys are PEM text or base64-encoded PEM.
+======================= */
+
+const BRAND_COLOR = '#ff8c00'
+const LOGO_TIMEOUT_MS = 5000
+const LOGO_MAX_BYTES = 512 * 1024
+const LOGO_TYPES = ['image/png', 'image/jpeg']
+
+const pemFromEnv = name => {
+  const value = process.env[name]
+  if (!value) return null
+  return value.includes('-----BEGIN') ? value : Buffer.from(value, 'base64').toString('utf8')
+}
+
+// What the scanner reads. Tickets issued before QR signing carry their URL.
+const barcodeMessage = (ticketId, ticket) =>
+  ticket.qrToken || `${process.env.FRONTEND_URL}/ticket/${ticketId}`
+
+const formatStart = event => {
+  const startsAt = eventStartsAt(event)
+  return startsAt
+    ? startsAt.toLocaleString('en-NG', { dateStyle: 'full', timeStyle: 'short', timeZone: event.timezone || 'Africa/Lagos' })
+    : null
+}
+
+const isPng = bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+const isJpeg = bytes => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// multicast and reserved ranges; the logo fetch may only reach the internet
+const PRIVATE_ADDRESSES = new net.BlockList()
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+
+const isPublicAddress = (address, family = net.isIP(address)) =>
+  !PRIVATE_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4')
+
+// Checked when the socket connects, so a DNS answer can't change in between
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err)
+    if (!addresses.length || !addresses.every(({ address, family }) => isPublicAddress(address, family))) {
+      return callback(new Error(`${hostname} is not a public host`))
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+const logoAgent = new https.Agent({ lookup: publicLookup })
+
+const readCapped = async body => {
+  const chunks = []
+  let size = 0
+  for await (const chunk of body) {
+    size += chunk.length
+    if (size > LOGO_MAX_BYTES) {
+      body.destroy()
+      throw new Error(`larger than ${LOGO_MAX_BYTES} bytes`)
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+const fetchLogo = async source => {
+  const url = new URL(source)
+  if (url.protocol !== 'https:') throw new Error('only https logo URLs are allowed')
+
+  // IP literals never reach the agent's lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && !isPublicAddress(host)) throw new Error(`${host} is not a public host`)
+
+  const response = await fetch(url, {
+    agent: logoAgent,
+    redirect: 'error',
+    signal: AbortSignal.timeout(LOGO_TIMEOUT_MS)
+  })
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+  const type = response.headers.get('content-type')?.split(';')[0].trim().toLowerCase()
+  if (!LOGO_TYPES.includes(type)) throw new Error(`unsupported content type ${type}`)
+  if (Number(response.headers.get('content-length')) > LOGO_MAX_BYTES) {
+    throw new Error(`larger than ${LOGO_MAX_BYTES} bytes`)
+  }
+
+  return readCapped(response.body)
+}
+
+const decodeDataLogo = source => {
+  const [header, data = ''] = source.split(',')
+  const type = header.slice('data:'.length).split(';')[0].toLowerCase()
+  if (!LOGO_TYPES.includes(type)) throw new Error(`unsupported content type ${type}`)
+  if (data.length * 3 / 4 > LOGO_MAX_BYTES) throw new Error(`larger than ${LOGO_MAX_BYTES} bytes`)
+  return Buffer.from(data, 'base64')
+}
+
+/**
+ * The organizer logo as PNG or JPEG bytes, or null when there is none or
+ * it can't be loaded safely.
+ */
+const loadLogo = async event => {
+  const source = event.organizerLogo || event.logo
+  if (!source || typeof source !== 'string') return null
+
+  try {
+    const bytes = source.startsWith('data:') ? decodeDataLogo(source) : await fetchLogo(source)
+    if (!isPng(bytes) && !isJpeg(bytes)) throw new Error('not a PNG or JPEG image')
+    return bytes
+  } catch (err) {
+    console.error('⚠️ Could not load organizer logo:', source.slice(0, 200), err.message)
+    return null
+  }
+}
+
+/* =======================
+   PDF
+======================= */
+export const renderTicketPdf = async ({ ticketId, ticket, event, logo }) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 36 })
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  const left = doc.page.margins.left
+  const width = doc.page.width - left - doc.page.margins.right
+
+  doc.rect(0, 0, doc.page.width, 64).fill(BRAND_COLOR)
+  doc.fillColor('#fff').font('Helvetica-Bold').fontSize(20).text('Airticks', left, 22)
+
+  if (logo) {
+    try {
+      doc.image(logo, doc.page.width - doc.page.margins.right - 40, 12, { fit: [40, 40] })
+    } catch {
+      // Not a PNG/JPEG; the ticket works without it
+    }
+  }
+
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(18).text(event.name || ticket.eventName, left, 84, { width })
+
+  const start = formatStart(event)
+  doc.font('Helvetica').fontSize(10).fillColor('#555')
+  if (start) doc.text(start, { width })
+  doc.text(ticket.location || event.venue?.name || 'TBA', { width })
+  if (event.organizer) doc.text(`Organized by ${event.organizer}`, { width })
+
+  doc.moveDown()
+  const rows = [
+    ['Attendee', ticket.attendeeName || ticket.buyerName],
+    ['Ticket type', ticket.ticketType],
+    ['Ticket no.', ticket.attendeeNumber],
+    ['Reference', ticketId]
+  ]
+  for (const [label, value] of rows) {
+    if (value === undefined || value === null) continue
+    doc.font('Helvetica-Bold').fillColor('#000').text(`${label}: `, { continued: true })
+    doc.font('Helvetica').text(String(value))
+  }
+
+  if (ticket.qr) {
+    const size = 180
+    doc.image(Buffer.from(ticket.qr, 'base64'), left + (width - size) / 2, doc.y + 16, { width: size })
+    doc.y += size + 24
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#777')
+    .text('Present this QR code at the entrance. It is valid for the named attendee only.', left, doc.y, { width, align: 'center' })
+
+  doc.end()
+  return done
+}
+
+/* =======================
+   APPLE WALLET
+======================= */
+const appleConfig = () => {
+  const config = {
+    passTypeId: process.env.APPLE_PASS_TYPE_ID,
+    teamId: process.env.APPLE_TEAM_ID,
+    cert: pemFromEnv('APPLE_PASS_CERT'),
+    key: pemFromEnv('APPLE_PASS_KEY'),
+    passphrase: process.env.APPLE_PASS_KEY_PASSPHRASE,
+    wwdr: pemFromEnv('APPLE_WWDR_CERT'),
+    iconPath: process.env.APPLE_PASS_ICON
+  }
+  return config.passTypeId && config.teamId && config.cert && config.key && config.wwdr && config.iconPath
+    ? config
+    : null
+}
+
+// Detached PKCS#7 signature over manifest.json, as Wallet expects
+const signManifest = (manifest, config) => {
+  const certificate = forge.pki.certificateFromPem(config.cert)
+  const key = config.passphrase
+    ? forge.pki.decryptRsaPrivateKey(config.key, config.passphrase)
+    : forge.pki.privateKeyFromPem(config.key)
+
+  const signed = forge.pkcs7.createSignedData()
+  signed.content = forge.util.createBuffer(manifest.toString('binary'))
+  signed.addCertificate(certificate)
+  signed.addCertificate(forge.pki.certificateFromPem(config.wwdr))
+  signed.addSigner({
+    key,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  })
+  signed.sign({ detached: true })
+
+  return Buffer.from(forge.asn1.toDer(signed.toAsn1()).getBytes(), 'binary')
+}
+
+/** A signed .pkpass for the ticket, or null when Apple Wallet isn't configured. */
+export const buildApplePass = async ({ ticketId, ticket, event, logo }) => {
+  const config = appleConfig()
+  if (!config) return null
+
+  const startsAt = eventStartsAt(event)
+  const pass = {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeId,
+    teamIdentifier: config.teamId,
+    serialNumber: ticketId,
+    organizationName: event.organizer || 'Airticks',
+    description: `${event.name || ticket.eventName} ticket`,
+    logoText: 'Airticks',
+    foregroundColor: 'rgb(255, 255, 255)',
+    backgroundColor: 'rgb(255, 140, 0)',
+    ...(startsAt ? { relevantDate: startsAt.toISOString() } : {}),
+    ...(ticket.status === 'cancelled' ? { voided: true } : {}),
+    barcodes: [{
+      format: 'PKBarcodeFormatQR',
+      message: barcodeMessage(ticketId, ticket),
+      messageEncoding: 'iso-8859-1'
+    }],
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'EVENT', value: event.name || ticket.eventName }],
+      secondaryFields: [
+        { key: 'attendee', label: 'ATTENDEE', value: ticket.attendeeName || ticket.buyerName },
+        { key: 'type', label: 'TICKET', value: ticket.ticketType }
+      ],
+      auxiliaryFields: [
+        ...(startsAt ? [{ key: 'date', label: 'DATE', value: startsAt.toISOString(), dateStyle: 'PKDateStyleMedium', timeStyle: 'PKDateStyleShort' }] : []),
+        { key: 'venue', label: 'VENUE', value: ticket.location || event.venue?.name || 'TBA' }
+      ],
+      backFields: [{ key: 'reference', label: 'Reference', value: ticketId }]
+    }
+  }
+
+  const icon = await fs.readFile(config.iconPath)
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify(pass)),
+    'icon.png': icon,
+    'icon@2x.png': icon,
+    // Wallet only reads PNG logos
+    ...(logo && isPng(logo) ? { 'logo.png': logo } : {})
+  }
+
+  const manifest = Buffer.from(JSON.stringify(
+    Object.fromEntries(Object.entries(files).map(([name, content]) => [
+      name,
+      crypto.createHash('sha1').update(content).digest('hex')
+    ]))
+  ))
+
+  const zip = new JSZip()
+  for (const [name, content] of Object.entries(files)) zip.file(name, content)
+  zip.file('manifest.json', manifest)
+  zip.file('signature', signManifest(manifest, config))
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+}
+
+/* =======================
+   GOOGLE WALLET
+======================= */
+const googleConfig = () => {
+  const issuerId = process.env.GOOGLE_WALLET_ISSUER_ID
+  const raw = process.env.GOOGLE_WALLET_SERVICE_ACCOUNT
+  if (!issuerId || !raw) return null
+
+  const account = JSON.parse(raw.trim().startsWith('{') ? raw : Buffer.from(raw, 'base64').toString('utf8'))
+  return { issuerId, clientEmail: account.client_email, privateKey: account.private_key }
+}
+
+const signJwt = (claims, privateKey) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url')
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url')
+  return `${unsigned}.${signature}`
+}
+
+// Google Wallet ids allow letters, digits, '.', '_' and '-'
+const walletId = (issuerId, value) => `${issuerId}.${String(value).replace(/[^\w.-]/g, '_')}`
+
+/**
+ * "Add to Google Wallet" link carrying the event class and ticket object,
+ * or null when Google Wallet isn't configured.
+ */
+export const buildGoogleWalletLink = ({ ticketId, ticket, event }) => {
+  const config = googleConfig()
+  if (!config) return null
+
+  const startsAt = eventStartsAt(event)
+  const classId = walletId(config.issuerId, `event_${ticket.eventId}`)
+
+  const eventTicketClass = {
+    id: classId,
+    issuerName: event.organizer || 'Airticks',
+    reviewStatus: 'UNDER_REVIEW',
+    eventName: { defaultValue: { language: 'en', value: event.name || ticket.eventName } },
+    venue: {
+      name: { defaultValue: { language: 'en', value: ticket.location || event.venue?.name || 'TBA' } },
+      address: { defaultValue: { language: 'en', value: ticket.location || event.venue?.name || 'TBA' } }
+    },
+    ...(startsAt ? { dateTime: { start: startsAt.toISOString() } } : {}),
+    ...(event.organizerLogo || event.logo
+      ? { logo: { sourceUri: { uri: event.organizerLogo || event.logo } } }
+      : {})
+  }
+
+  const eventTicketObject = {
+    id: walletId(config.issuerId, `ticket_${ticketId}`),
+    classId,
+    state: ticket.status === 'cancelled' ? 'INACTIVE' : 'ACTIVE',
+    ticketHolderName: ticket.attendeeName || ticket.buyerName,
+    ticketNumber: ticketId,
+    ticketType: { defaultValue: { language: 'en', value: ticket.ticketType || 'Ticket' } },
+    barcode: { type: 'QR_CODE', value: barcodeMessage(ticketId, ticket), alternateText: ticketId }
+  }
+
+  const jwt = signJwt({
+    iss: config.clientEmail,
+    aud: 'google',
+    typ: 'savetowallet',
+    iat: Math.floor(Date.now() / 1000),
+    origins: process.env.FRONTEND_URL ? [process.env.FRONTEND_URL] : [],
+    payload: {
+      eventTicketClasses: [eventTicketClass],
+      eventTicketObjects: [eventTicketObject]
+    }
+  }, config.privateKey)
+
+  return { saveUrl: `https://pay.google.com/gp/v/save/${jwt}`, jwt }
+}
+
+/* =======================
+   EMAIL ATTACHMENTS
+======================= */
+
+/**
+ * Everything to send with a ticket email: Brevo attachments (QR image,
+ * PDF, .pkpass when configured) and the Google Wallet link if any.
+ * A wallet pass that fails to build is left out rather than failing the email.
+ */
+export const buildTicketArtifacts = async ({ ticketId, ticket, event }) => {
+  const logo = await loadLogo(event)
+  const attachments = [{ name: 'ticket-qr.png', content: ticket.qr }]
+
+  attachments.push({
+    name: `ticket-${ticketId}.pdf`,
+    content: (await renderTicketPdf({ ticketId, ticket, event, logo })).toString('base64')
+  })
+
+  try {
+    const pkpass = await buildApplePass({ ticketId, ticket, event, logo })
+    if (pkpass) attachments.push({ name: `ticket-${ticketId}.pkpass`, content: pkpass.toString('base64') })
+  } catch (err) {
+    console.error('❌ Apple Wallet pass error:', ticketId, err)
+  }
+
+  let googleWalletUrl = null
+  try {
+    googleWalletUrl = buildGoogleWalletLink({ ticketId, ticket, event })?.saveUrl || null
+  } catch (err) {
+    console.error('❌ Google Wallet pass error:', ticketId, err)
+  }
+
+  return { attachments, googleWalletUrl }
+}
+
+/* =======================
+   DOWNLOADS
+======================= */
+export const TICKET_DOWNLOAD_FORMATS = ['pdf', 'pkpass', 'google']
+
+/**
+ * One ticket in the requested format: { content, contentType, filename }
+ * for files, { url } for Google Wallet, or null when that wallet isn't configured.
+ */
+export const renderTicketDownload = async ({ ticketId, ticket, event, format }) => {
+  if (format === 'google') {
+    const link = buildGoogleWalletLink({ ticketId, ticket, event })
+    return link && { url: link.saveUrl }
+  }
+
+  const logo = await loadLogo(event)
+
+  if (format === 'pkpass') {
+    const content = await buildApplePass({ ticketId, ticket, event, logo })
+    return content && {
+      content,
+      contentType: 'application/vnd.apple.pkpass',
+      filename: `ticket-${ticketId}.pkpass`
+    }
+  }
+
+  return {
+    content: await renderTicketPdf({ ticketId, ticket, event, logo }),
+    contentType: 'application/pdf',
+    filename: `ticket-${ticketId}.pdf`
+  }
+}
@@ -0,0 +1,316 @@
+import crypto from 'crypto'
+import QRCode from 'qrcode'
+import { admin, db } from './firebase.js'
+import { HttpError } from './errors.js'
+import { sendTicketReissuedEmails } from './email.js'
+
+/* =======================
+   SIGNED TICKET TOKENS
+   A ticket's QR code carries `<payload>.<signature>` (both base64url):
+     payload   { v: 1, k: keyId, t: ticketId, e: eventId, y: ticketTypeId, q: qrVersion, i: issuedAt (unix s) }
+     signature Ed25519 over the payload bytes
+   Each event has its own key pair in event_keys/{eventId}:
+     { currentKeyId, keys: { [keyId]: { publicKey, privateKey, status, createdAt } } }
+   privateKey is AES-256-GCM encrypted with TICKET_SIGNING_SECRET.
+   Rotation adds a key and retires the old one: retired keys still verify
+   tickets they signed, revoked keys don't.
+======================= */
+
+const TOKEN_VERSION = 1
+
+// Public keys rarely change, so scans don't need a Firestore read to check a
+// signature. A revocation reaches other server instances within this window.
+const PUBLIC_KEY_TTL_MS = 5 * 60 * 1000
+
+const keysRef = eventId => db.collection('event_keys').doc(eventId)
+
+const DOC_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/
+const isDocId = value => typeof value === 'string' && DOC_ID_PATTERN.test(value)
+
+const encryptionKey = () => {
+  const secret = process.env.TICKET_SIGNING_SECRET
+  if (!secret) throw new Error('TICKET_SIGNING_SECRET is not set')
+  return crypto.createHash('sha256').update(secret).digest()
+}
+
+const encryptPrivateKey = pem => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv)
+  const data = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()])
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }
+}
+
+const decryptPrivateKey = ({ iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(tag, 'base64'))
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8')
+}
+
+const newKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    record: {
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: encryptPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      status: 'active',
+      createdAt: admin.firestore.Timestamp.now()
+    }
+  }
+}
+
+/* =======================
+   PUBLIC KEY CACHE
+   Only events that have keys are cached, oldest dropped past the limit.
+======================= */
+const PUBLIC_KEY_CACHE_LIMIT = 1000
+
+const publicKeyCache = new Map()
+
+const cachePublicKeys = (eventId, data) => {
+  const keys = new Map(
+    Object.entries(data?.keys || {}).map(([id, key]) => [
+      id,
+      { status: key.status, publicKey: crypto.createPublicKey(key.publicKey) }
+    ])
+  )
+  if (!keys.size) return keys
+
+  publicKeyCache.delete(eventId)
+  publicKeyCache.set(eventId, { keys, fetchedAt: Date.now() })
+  if (publicKeyCache.size > PUBLIC_KEY_CACHE_LIMIT) {
+    publicKeyCache.delete(publicKeyCache.keys().next().value)
+  }
+  return keys
+}
+
+const publicKeysFor = async (eventId, keyId) => {
+  const cached = publicKeyCache.get(eventId)
+  const fresh = cached && Date.now() - cached.fetchedAt < PUBLIC_KEY_TTL_MS
+
+  // An unknown key id may just be a rotation we haven't seen yet
+  if (fresh && cached.keys.has(keyId)) return cached.keys
+
+  const snap = await keysRef(eventId).get()
+  return cachePublicKeys(eventId, snap.data())
+}
+
+/* =======================
+   SIGNING
+======================= */
+
+/**
+ * The signer for an event's current key, creating the event's first key
+ * if it has none. Fetch it once per order, outside any transaction.
+ */
+export const getTicketSigner = async eventId => {
+  const ref = keysRef(eventId)
+
+  const data = await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    if (snap.exists) return snap.data()
+
+    const key = newKey()
+    const created = { eventId, currentKeyId: key.id, keys: { [key.id]: key.record } }
+    tx.create(ref, created)
+    return created
+  })
+
+  const keyId = data.currentKeyId
+  const privateKey = crypto.createPrivateKey(decryptPrivateKey(data.keys[keyId].privateKey))
+
+  return {
+    keyId,
+    sign: ({ ticketId, ticketTypeId, qrVersion = 1 }) => {
+      const payload = Buffer.from(JSON.stringify({
+        v: TOKEN_VERSION,
+        k: keyId,
+        t: ticketId,
+        e: eventId,
+        y: ticketTypeId || null,
+        q: qrVersion,
+        i: Math.floor(Date.now() / 1000)
+      })).toString('base64url')
+
+      const signature = crypto.sign(null, Buffer.from(payload), privateKey).toString('base64url')
+      return `${payload}.${signature}`
+    }
+  }
+}
+
+/** QR image (base64 PNG, no data: prefix) for a signed token. */
+export const renderTicketQr = async token => {
+  const dataUrl = await QRCode.toDataURL(token, {
+    width: 320,
+    margin: 1,
+    errorCorrectionLevel: 'M'
+  })
+  return dataUrl.replace(/^data:image\/png;base64,/, '')
+}
+
+/** Sign a ticket and draw its QR code: the fields stored on the ticket. */
+export const issueTicketQr = async (signer, ticket) => {
+  const qrToken = signer.sign(ticket)
+  return {
+    qrToken,
+    qrKeyId: signer.keyId,
+    qrVersion: ticket.qrVersion || 1,
+    qr: await renderTicketQr(qrToken)
+  }
+}
+
+/* =======================
+   VERIFICATION
+======================= */
+const invalidToken = message => new HttpError(401, message)
+
+/**
+ * Check a token's signature and return its claims
+ * `{ keyId, ticketId, eventId, ticketTypeId, qrVersion, issuedAt }`. Only the
+ * event's public keys are read (and cached); the ticket isn't.
+ */
+export const verifyTicketToken = async token => {
+  const [payload, signature, extra] = String(token || '').trim().split('.')
+  if (!payload || !signature || extra !== undefined) throw invalidToken('Malformed ticket code')
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    throw invalidToken('Malformed ticket code')
+  }
+
+  // The ids are looked up as Firestore doc ids, so they must be valid ones
+  if (claims?.v !== TOKEN_VERSION || ![claims.e, claims.k, claims.t].every(isDocId)) {
+    throw invalidToken('Malformed ticket code')
+  }
+
+  const keys = await publicKeysFor(claims.e, claims.k)
+  const key = keys.get(claims.k)
+  if (!key) throw invalidToken('Ticket code was not signed by this event')
+  if (key.status === 'revoked') throw invalidToken('Ticket code was signed with a revoked key')
+
+  const valid = crypto.verify(null, Buffer.from(payload), key.publicKey, Buffer.from(signature, 'base64url'))
+  if (!valid) throw invalidToken('Ticket code signature is invalid')
+
+  return {
+    keyId: claims.k,
+    ticketId: claims.t,
+    eventId: claims.e,
+    ticketTypeId: claims.y,
+    qrVersion: claims.q || 1,
+    issuedAt: new Date(claims.i * 1000)
+  }
+}
+
+/* =======================
+   KEY MANAGEMENT
+======================= */
+
+/**
+ * Public keys for scanners that validate tickets offline. The token
+ * format is in the header comment above.
+ */
+export const listEventPublicKeys = async eventId => {
+  const snap = await keysRef(eventId).get()
+  if (!snap.exists) return { eventId, algorithm: 'Ed25519', currentKeyId: null, keys: [] }
+
+  const data = snap.data()
+  return {
+    eventId,
+    algorithm: 'Ed25519',
+    currentKeyId: data.currentKeyId,
+    keys: Object.entries(data.keys)
+      .filter(([, key]) => key.status !== 'revoked')
+      .map(([keyId, key]) => ({
+        keyId,
+        status: key.status,
+        publicKey: key.publicKey,
+        jwk: crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        createdAt: key.createdAt?.toDate?.() || null
+      }))
+  }
+}
+
+/**
+ * Start signing with a new key. The old keys are retired (still valid)
+ * or, with `revoke`, invalidated and every ticket for the event is
+ * re-signed with the new key and emailed again to its holder.
+ */
+export const rotateEventKey = async (eventId, { revoke = false, rotatedBy } = {}) => {
+  const ref = keysRef(eventId)
+  const key = newKey()
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    const keys = snap.data()?.keys || {}
+
+    const previous = Object.fromEntries(
+      Object.entries(keys).map(([id, old]) => [
+        id,
+        old.status === 'revoked'
+          ? old
+          : { ...old, status: revoke ? 'revoked' : 'retired', [revoke ? 'revokedAt' : 'retiredAt']: admin.firestore.Timestamp.now() }
+      ])
+    )
+
+    tx.set(ref, {
+      eventId,
+      currentKeyId: key.id,
+      keys: { ...previous, [key.id]: key.record },
+      rotatedBy: rotatedBy || null,
+      rotatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  })
+
+  publicKeyCache.delete(eventId)
+
+  const { reissued, notified } = revoke ? await reissueEventTickets(eventId) : { reissued: 0, notified: 0 }
+  return { keyId: key.id, revoked: revoke, reissued, notified }
+}
+
+// Re-sign every ticket of an event after its old keys were revoked, then
+// send the active ones to their holders: the codes they have stop scanning
+const reissueEventTickets = async eventId => {
+  const signer = await getTicketSigner(eventId)
+  const [snap, eventSnap] = await Promise.all([
+    db.collection('tickets').where('eventId', '==', eventId).get(),
+    db.collection('events').doc(eventId).get()
+  ])
+
+  let batch = db.batch()
+  let pending = 0
+  const active = []
+
+  for (const doc of snap.docs) {
+    const ticket = doc.data()
+    const qrFields = await issueTicketQr(signer, { ticketId: doc.id, ticketTypeId: ticket.ticketTypeId, qrVersion: ticket.qrVersion })
+    batch.update(doc.ref, {
+      ...qrFields,
+      qrIssuedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    if (ticket.status !== 'cancelled') active.push({ ticketId: doc.id, ticket: { ...ticket, ...qrFields } })
+
+    if (++pending === 400) {
+      await batch.commit()
+      batch = db.batch()
+      pending = 0
+    }
+  }
+
+  if (pending) await batch.commit()
+
+  setImmediate(() =>
+    sendTicketReissuedEmails({ tickets: active, event: eventSnap.data() || {} })
+      .catch(err => console.error('Reissued tickets email error:', eventId, err))
+  )
+
+  return { reissued: snap.size, notified: active.length }
+}
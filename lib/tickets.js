@@ -0,0 +1,209 @@
+import crypto from 'crypto'
+import { db } from './firebase.js'
+import { HttpError, forbidden, notFound } from './errors.js'
+import { rateLimit } from './rateLimit.js'
+import { getStaffEvent } from './staff.js'
+import { verifiedEmail } from './auth.js'
+
+/* =======================
+   TICKET ACCESS
+======================= */
+
+/**
+ * How the signed-in user relates to a ticket: 'holder' (the attendee),
+ * 'purchaser', 'organizer', 'admin', or null for anyone else.
+ * Email matches only count for verified emails; otherwise only the
+ * purchaser's uid does.
+ */
+export const ticketRole = (ticket, user) => {
+  if (!user) return null
+
+  const email = verifiedEmail(user)
+  if (email && (ticket.attendeeEmail || ticket.email) === email) return 'holder'
+  if ((ticket.userId && ticket.userId === user.uid) || (email && ticket.purchaserEmail === email)) return 'purchaser'
+  if (ticket.organizerId === user.uid) return 'organizer'
+  if (user.isAdmin) return 'admin'
+  return null
+}
+
+/**
+ * Load a ticket and its event for someone with a role on it.
+ * Returns { ticket, event, role }.
+ */
+export const getTicketForUser = async (ticketId, user) => {
+  const ticketSnap = await db.collection('tickets').doc(ticketId).get()
+  if (!ticketSnap.exists) throw notFound('Ticket not found')
+
+  const ticket = ticketSnap.data()
+  const role = ticketRole(ticket, user)
+  if (!role) throw forbidden('You do not have access to this ticket')
+
+  const eventSnap = await db.collection('events').doc(ticket.eventId).get()
+  return { ticket, event: eventSnap.data() || {}, role }
+}
+
+/* =======================
+   HOLDER ACCESS TOKENS
+   The link in a ticket email carries base64url({ t, v, e }).hmac, where
+   t is the ticket id, v its qrVersion and e the expiry (unix seconds).
+   A transfer bumps qrVersion, so the previous holder's link stops working.
+   The HMAC key is derived from TICKET_SIGNING_SECRET.
+======================= */
+const ACCESS_TTL_SECONDS = 365 * 24 * 60 * 60
+
+const accessKey = () => {
+  const secret = process.env.TICKET_SIGNING_SECRET
+  if (!secret) throw new Error('TICKET_SIGNING_SECRET is not set')
+  return crypto.createHmac('sha256', secret).update('ticket-access').digest()
+}
+
+const accessSignature = payload =>
+  crypto.createHmac('sha256', accessKey()).update(payload).digest('base64url')
+
+export const createTicketAccessToken = (ticketId, ticket) => {
+  const payload = Buffer.from(JSON.stringify({
+    t: ticketId,
+    v: ticket.qrVersion || 1,
+    e: Math.floor(Date.now() / 1000) + ACCESS_TTL_SECONDS
+  })).toString('base64url')
+
+  return `${payload}.${accessSignature(payload)}`
+}
+
+export const ticketAccessUrl = (ticketId, ticket) =>
+  `${process.env.FRONTEND_URL}/ticket/${ticketId}?access=${createTicketAccessToken(ticketId, ticket)}`
+
+// True when `token` was issued for this ticket's current holder and hasn't expired
+const isValidAccessToken = (token, ticketId, ticket) => {
+  const [payload, signature] = String(token).split('.')
+  if (!payload || !signature) return false
+
+  const expected = Buffer.from(accessSignature(payload))
+  const given = Buffer.from(signature)
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false
+
+  try {
+    const { t, v, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    return t === ticketId && v === (ticket.qrVersion || 1) && e > Date.now() / 1000
+  } catch {
+    return false
+  }
+}
+
+/* =======================
+   TICKET LOOKUP
+   GET /api/tickets/:ticketId answers in one of three tiers:
+     public  anyone with the id: whether the ticket is valid, names masked
+     holder  the attendee or purchaser (signed in, or the email link's token)
+     staff   the organizer, admins and the event's door team
+======================= */
+const LOOKUP_WINDOW_MS = 60 * 60 * 1000
+const ANONYMOUS_LOOKUPS = 60
+const SIGNED_IN_LOOKUPS = 600
+
+// "Ada Obi" -> "A** O**"
+export const maskName = name =>
+  String(name || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => `${part[0]}${'*'.repeat(Math.min(part.length - 1, 4))}`)
+    .join(' ') || null
+
+const validityOf = ticket => {
+  if (ticket.status === 'cancelled') return 'cancelled'
+  if (ticket.used || ticket.entryCount > 0) return 'used'
+  return 'valid'
+}
+
+const toDate = value => value?.toDate?.() || null
+
+const publicView = ticket => ({
+  access: 'public',
+  validity: validityOf(ticket),
+  eventName: ticket.eventName,
+  ticketType: ticket.ticketType,
+  attendeeName: maskName(ticket.attendeeName || ticket.buyerName)
+})
+
+const holderView = (ticketId, ticket) => ({
+  access: 'holder',
+  ticketId,
+  validity: validityOf(ticket),
+  status: ticket.status,
+  eventId: ticket.eventId,
+  eventName: ticket.eventName,
+  ticketType: ticket.ticketType,
+  ticketNumber: ticket.attendeeNumber ?? ticket.ticketNumber ?? null,
+  attendeeName: ticket.attendeeName || ticket.buyerName,
+  attendeeEmail: ticket.attendeeEmail || ticket.email,
+  purchaserName: ticket.purchaserName,
+  location: ticket.location,
+  map: ticket.map || null,
+  amount: ticket.amount,
+  currency: ticket.currency,
+  used: ticket.used === true,
+  entryCount: ticket.entryCount ?? (ticket.used ? 1 : 0),
+  qr: ticket.status === 'cancelled' ? null : ticket.qr,
+  scannedAt: toDate(ticket.scannedAt)
+})
+
+const staffView = (ticketId, ticket) => ({
+  access: 'staff',
+  ticketId,
+  validity: validityOf(ticket),
+  status: ticket.status,
+  eventId: ticket.eventId,
+  eventName: ticket.eventName,
+  ticketType: ticket.ticketType,
+  ticketTypeId: ticket.ticketTypeId,
+  ticketNumber: ticket.attendeeNumber ?? ticket.ticketNumber ?? null,
+  attendeeName: ticket.attendeeName || ticket.buyerName,
+  purchaserName: ticket.purchaserName,
+  used: ticket.used === true,
+  entryCount: ticket.entryCount ?? (ticket.used ? 1 : 0),
+  entryDays: ticket.entryDays || [],
+  inside: ticket.inside ?? null,
+  transferCount: ticket.transferCount || 0,
+  scannedByName: ticket.scannedByName || null,
+  scannedAt: toDate(ticket.scannedAt),
+  lastScanAt: toDate(ticket.lastScanAt)
+})
+
+const isEventStaff = async (eventId, user) => {
+  try {
+    await getStaffEvent(eventId, user)
+    return true
+  } catch (err) {
+    if (err instanceof HttpError) return false
+    throw err
+  }
+}
+
+/**
+ * The view of a ticket the caller is entitled to. `user` is the signed-in
+ * user if any, `accessToken` the holder token from the email link, and
+ * `ip` keys the rate limit for anonymous callers.
+ */
+export const lookupTicket = async ({ ticketId, user, accessToken, ip }) => {
+  // Counted before the read, so guessing ids costs the same as finding one
+  await rateLimit(user ? `ticket-lookup:user:${user.uid}` : `ticket-lookup:ip:${ip}`, {
+    limit: user ? SIGNED_IN_LOOKUPS : ANONYMOUS_LOOKUPS,
+    windowMs: LOOKUP_WINDOW_MS,
+    message: 'Too many ticket lookups'
+  })
+
+  const ticketSnap = await db.collection('tickets').doc(ticketId).get()
+  if (!ticketSnap.exists) throw notFound('Ticket not found.')
+
+  const ticket = ticketSnap.data()
+  const role = ticketRole(ticket, user)
+
+  if (role === 'organizer' || role === 'admin') return staffView(ticketId, ticket)
+  if (user && !role && await isEventStaff(ticket.eventId, user)) return staffView(ticketId, ticket)
+  if (role || (accessToken && isValidAccessToken(accessToken, ticketId, ticket))) {
+    return holderView(ticketId, ticket)
+  }
+
+  return publicView(ticket)
+}
@@ -0,0 +1,153 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, forbidden, notFound } from './errors.js'
+import { eventStartsAt } from './events.js'
+import { getTicketSigner, issueTicketQr } from './ticketTokens.js'
+import { sendTicketTransferEmails } from './email.js'
+import { ticketRole } from './tickets.js'
+
+/* =======================
+   TICKET TRANSFERS
+   The holder (attendee) or the purchaser can hand a ticket to someone
+   else. The ticket is re-signed with a bumped qrVersion, so the old QR
+   code stops scanning, and each move is appended to ticket.transfers.
+   Organizers control transfers with event.transferRules:
+     { enabled: true, cutoffHours: 24, maxTransfers: null }
+   cutoffHours counts back from the event start; it's skipped for events
+   without a start time.
+======================= */
+
+const DEFAULT_RULES = { enabled: true, cutoffHours: 0, maxTransfers: null }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const transferRulesFor = event => ({ ...DEFAULT_RULES, ...(event.transferRules || {}) })
+
+export const parseTransferRules = input => {
+  const cutoffHours = Number(input?.cutoffHours ?? 0)
+  if (!Number.isFinite(cutoffHours) || cutoffHours < 0) throw badRequest('cutoffHours must be 0 or more')
+
+  const maxTransfers = input?.maxTransfers === undefined || input.maxTransfers === null
+    ? null
+    : Number(input.maxTransfers)
+  if (maxTransfers !== null && (!Number.isInteger(maxTransfers) || maxTransfers < 0)) {
+    throw badRequest('maxTransfers must be a whole number')
+  }
+
+  return { enabled: input?.enabled !== false, cutoffHours, maxTransfers }
+}
+
+export const setTransferRules = async ({ eventId, input }) => {
+  const transferRules = parseTransferRules(input)
+  await db.collection('events').doc(eventId).update({
+    transferRules,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+  return transferRules
+}
+
+// Organizers can see tickets but not give them away
+const TRANSFER_ROLES = ['holder', 'purchaser', 'admin']
+
+const assertTransferable = ({ ticket, event, role, now = new Date() }) => {
+  if (!TRANSFER_ROLES.includes(role)) throw forbidden('Only the ticket holder or purchaser can transfer this ticket')
+  if (ticket.status === 'cancelled') throw conflict('This ticket has been cancelled')
+  if (ticket.used || ticket.entryCount > 0) throw conflict('This ticket has already been scanned')
+
+  // Admins can still move a ticket the organizer's rules would block
+  if (role === 'admin') return
+
+  const rules = transferRulesFor(event)
+  if (!rules.enabled) throw forbidden('The organizer has turned off ticket transfers for this event')
+
+  const startsAt = eventStartsAt(event)
+  if (startsAt && now > new Date(startsAt.getTime() - rules.cutoffHours * 60 * 60 * 1000)) {
+    throw forbidden(
+      rules.cutoffHours
+        ? `Transfers close ${rules.cutoffHours} hours before the event`
+        : 'Transfers are closed for this event'
+    )
+  }
+
+  if (rules.maxTransfers !== null && (ticket.transferCount || 0) >= rules.maxTransfers) {
+    throw forbidden('This ticket cannot be transferred again')
+  }
+}
+
+/**
+ * Move a ticket to `to` = { name, email }. Returns the updated ticket's
+ * id, holder and qrVersion; emails both holders in the background.
+ */
+export const transferTicket = async ({ ticketId, user, to }) => {
+  const name = String(to?.name || '').trim()
+  const email = String(to?.email || '').trim().toLowerCase()
+  if (!name) throw badRequest('The new holder\'s name is required')
+  if (!EMAIL_PATTERN.test(email)) throw badRequest('A valid email is required for the new holder')
+
+  const ticketRef = db.collection('tickets').doc(ticketId)
+  const ticketSnap = await ticketRef.get()
+  if (!ticketSnap.exists) throw notFound('Ticket not found')
+
+  const current = ticketSnap.data()
+  if ((current.attendeeEmail || current.email) === email) {
+    throw badRequest('This ticket already belongs to that email')
+  }
+
+  // Sign the new code up front: rendering the QR is too slow for a transaction
+  const qrVersion = (current.qrVersion || 1) + 1
+  const signer = await getTicketSigner(current.eventId)
+  const qrFields = await issueTicketQr(signer, { ticketId, ticketTypeId: current.ticketTypeId, qrVersion })
+
+  const result = await db.runTransaction(async tx => {
+    const [snap, eventSnap] = await Promise.all([
+      tx.get(ticketRef),
+      tx.get(db.collection('events').doc(current.eventId))
+    ])
+    const ticket = snap.data()
+    const event = eventSnap.data() || {}
+    const role = ticketRole(ticket, user)
+
+    // Someone else transferred it while we were signing
+    if ((ticket.qrVersion || 1) + 1 !== qrVersion) throw conflict('This ticket was just changed. Try again.')
+    assertTransferable({ ticket, event, role })
+
+    const from = { name: ticket.attendeeName || ticket.buyerName, email: ticket.attendeeEmail || ticket.email }
+
+    tx.update(ticketRef, {
+      ...qrFields,
+      qrIssuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      attendeeName: name,
+      attendeeEmail: email,
+      buyerName: name,
+      email,
+      isBuyer: false,
+      transferCount: (ticket.transferCount || 0) + 1,
+      transfers: admin.firestore.FieldValue.arrayUnion({
+        from,
+        to: { name, email },
+        by: user.uid,
+        byRole: role,
+        qrVersion,
+        at: admin.firestore.Timestamp.now()
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return {
+      ticket: { ...ticket, ...qrFields, attendeeName: name, attendeeEmail: email, buyerName: name, email },
+      event,
+      from
+    }
+  })
+
+  setImmediate(() =>
+    sendTicketTransferEmails({
+      ticketId,
+      ticket: result.ticket,
+      event: result.event,
+      from: result.from,
+      to: { name, email }
+    }).catch(err => console.error('Transfer email error:', ticketId, err))
+  )
+
+  return { ticketId, holder: { name, email }, qrVersion }
+}
@@ -0,0 +1,434 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, forbidden, notFound } from './errors.js'
+import { getTicketList, getTicketName } from './pricing.js'
+import { RESERVATION_TTL_MINUTES, availableSeats, holdSeats, releaseReservation, transferHold } from './inventory.js'
+import { inSaleWindow } from './salesTiers.js'
+import { rateLimit } from './rateLimit.js'
+import { sendWaitlistOfferEmail } from './email.js'
+
+/* =======================
+   WAITLIST
+   waitlist/{eventId}_{ticketTypeId}_{emailHash}
+     { eventId, ticketTypeId, ticketName, email, name, userId, quantity,
+       status, createdAt, offeredAt, offerQuantity, offerExpiresAt,
+       offerTokenHash, reservationReference, checkoutStartedAt,
+       convertedReference }
+   waiting -> offered -> converted | expired
+   When seats come back, the first person waiting for that ticket type
+   (by join time) gets up to their quantity held for WAITLIST_OFFER_MINUTES
+   and an emailed link. Checking out with the link moves that hold to the
+   order (see transferHold), so nobody else can take the seats meanwhile.
+   An offer nobody uses expires, its seats go to the next in line.
+   Offers are made by the reservation sweeper and straight after refunds;
+   the sweeper also picks up capacity the organizer adds. It walks the
+   waiting entries a page per run from a cursor in sync_state/waitlist_sweep,
+   so a long queue for one sold-out event can't hide every other event.
+   Needs composite indexes on (eventId, status, createdAt) and
+   (eventId, ticketTypeId, status, createdAt).
+======================= */
+
+export const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 60
+
+const MAX_WAITLIST_QUANTITY = 10
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const waitlistRef = () => db.collection('waitlist')
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+export const waitlistEntryId = (eventId, ticketTypeId, email) =>
+  `${eventId}_${ticketTypeId}_${crypto.createHash('sha256').update(email).digest('hex').slice(0, 20)}`
+
+const assertOfferOpen = entry => {
+  if (entry?.status !== 'offered' || entry.offerExpiresAt.toMillis() <= Date.now()) {
+    throw conflict('This waitlist offer has expired')
+  }
+}
+
+/* =======================
+   JOINING
+======================= */
+export const joinWaitlist = async ({ eventId, ticketTypeId, email, name, quantity = 1, userId, ip }) => {
+  const address = String(email || '').trim().toLowerCase()
+  if (!EMAIL_PATTERN.test(address)) throw badRequest('A valid email is required')
+
+  await rateLimit(`waitlist:ip:${ip}`, { limit: 20, windowMs: 60 * 60 * 1000, message: 'Too many waitlist requests' })
+
+  const eventSnap = await db.collection('events').doc(eventId).get()
+  if (!eventSnap.exists) throw notFound('Event not found')
+
+  const event = eventSnap.data()
+  const ticket = getTicketList(event).find(t => t.id === ticketTypeId)
+  if (!ticket) throw notFound('Ticket type not found')
+
+  const wanted = Number(quantity)
+  const maxQuantity = Math.min(MAX_WAITLIST_QUANTITY, ticket.maxPerPerson || MAX_WAITLIST_QUANTITY)
+  if (!Number.isInteger(wanted) || wanted < 1 || wanted > maxQuantity) {
+    throw badRequest(`quantity must be between 1 and ${maxQuantity}`)
+  }
+
+  if (availableSeats(ticket) >= wanted) throw conflict(`${getTicketName(ticket)} tickets are still available`)
+
+  const ref = waitlistRef().doc(waitlistEntryId(eventId, ticketTypeId, address))
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    const existing = snap.data()
+    if (existing?.status === 'offered') throw conflict('You already have an offer for these tickets. Check your email.')
+
+    // Someone still waiting keeps their place; anyone else joins the back of the line
+    tx.set(ref, existing?.status === 'waiting'
+      ? { quantity: wanted, name: name || existing.name, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+      : {
+          eventId,
+          eventName: event.name || null,
+          organizerId: event.ownerId,
+          ticketTypeId,
+          ticketName: getTicketName(ticket),
+          email: address,
+          name: name || null,
+          userId: userId || null,
+          quantity: wanted,
+          status: 'waiting',
+          offerCount: existing?.offerCount || 0,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true })
+  })
+
+  // Place in line among people waiting for the same ticket type
+  const entry = (await ref.get()).data()
+  const ahead = await waitlistRef()
+    .where('eventId', '==', eventId)
+    .where('ticketTypeId', '==', ticketTypeId)
+    .where('status', '==', 'waiting')
+    .where('createdAt', '<', entry.createdAt)
+    .count()
+    .get()
+
+  return {
+    id: ref.id,
+    eventId,
+    ticketTypeId,
+    ticketName: entry.ticketName,
+    quantity: entry.quantity,
+    status: entry.status,
+    position: ahead.data().count + 1
+  }
+}
+
+/* =======================
+   OFFERS
+======================= */
+
+// Hold seats for one waiting entry. 'sold_out' and 'closed' (outside the
+// ticket type's sale window) mean nobody else waiting for that ticket type
+// can be offered anything either.
+const makeOffer = async entryRef => {
+  const token = crypto.randomBytes(24).toString('base64url')
+  const reference = `WL-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+
+  return db.runTransaction(async tx => {
+    const entrySnap = await tx.get(entryRef)
+    const entry = entrySnap.data()
+    if (entry?.status !== 'waiting') return { status: 'skipped' }
+
+    const eventRef = db.collection('events').doc(entry.eventId)
+    const eventSnap = await tx.get(eventRef)
+    const event = eventSnap.data() || {}
+    const ticket = getTicketList(event).find(t => t.id === entry.ticketTypeId)
+    if (ticket && !inSaleWindow(ticket)) return { status: 'closed' }
+
+    const left = ticket ? availableSeats(ticket) : 0
+    if (left < 1) return { status: 'sold_out' }
+
+    const quantity = Math.min(entry.quantity, left)
+    const hold = await holdSeats(tx, {
+      eventRef,
+      reference,
+      lines: [{ ticketId: entry.ticketTypeId, quantity }],
+      ttlMinutes: WAITLIST_OFFER_MINUTES
+    })
+
+    hold.apply()
+    tx.update(entryRef, {
+      status: 'offered',
+      offerQuantity: quantity,
+      offerTokenHash: hashToken(token),
+      offerExpiresAt: hold.expiresAt,
+      offeredAt: admin.firestore.FieldValue.serverTimestamp(),
+      offerCount: (entry.offerCount || 0) + 1,
+      reservationReference: reference,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return {
+      status: 'offered',
+      entry: { id: entryRef.id, ...entry, offerQuantity: quantity, offerExpiresAt: hold.expiresAt },
+      event,
+      token
+    }
+  })
+}
+
+/**
+ * Offer returned seats to the people waiting for this event. Returns how
+ * many offers went out.
+ */
+export const processWaitlist = async eventId => {
+  const [eventSnap, waitingSnap] = await Promise.all([
+    db.collection('events').doc(eventId).get(),
+    waitlistRef()
+      .where('eventId', '==', eventId)
+      .where('status', '==', 'waiting')
+      .orderBy('createdAt')
+      .limit(100)
+      .get()
+  ])
+  if (!eventSnap.exists || waitingSnap.empty) return 0
+
+  // Skip the transactions for ticket types that have nothing to give out
+  const soldOut = new Set(
+    getTicketList(eventSnap.data())
+      .filter(ticket => availableSeats(ticket) < 1 || !inSaleWindow(ticket))
+      .map(ticket => ticket.id)
+  )
+
+  let offered = 0
+  for (const doc of waitingSnap.docs) {
+    const { ticketTypeId } = doc.data()
+    if (soldOut.has(ticketTypeId)) continue
+
+    const result = await makeOffer(doc.ref)
+    if (['sold_out', 'closed'].includes(result.status)) soldOut.add(ticketTypeId)
+    if (result.status !== 'offered') continue
+
+    offered++
+    const link = `${process.env.FRONTEND_URL}/events/${eventId}?waitlistOffer=${result.token}`
+    setImmediate(() =>
+      sendWaitlistOfferEmail({ entry: result.entry, event: result.event, link })
+        .catch(err => console.error('Waitlist offer email error:', result.entry.email, err))
+    )
+  }
+
+  return offered
+}
+
+const expireOffer = async entryRef => {
+  const entry = await db.runTransaction(async tx => {
+    const snap = await tx.get(entryRef)
+    const data = snap.data()
+    if (data?.status !== 'offered' || data.offerExpiresAt.toMillis() > Date.now()) return null
+
+    tx.update(entryRef, {
+      status: 'expired',
+      expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+    return data
+  })
+
+  if (entry) await releaseReservation(entry.reservationReference, 'offer_expired')
+  return entry
+}
+
+/**
+ * Expire unused offers, then offer whatever is free to the next in line.
+ * Run on a timer from server.js.
+ */
+export const sweepWaitlists = async (limit = 100) => {
+  const stateRef = db.collection('sync_state').doc('waitlist_sweep')
+  const cursor = (await stateRef.get()).data()?.cursor || null
+
+  let waitingQuery = waitlistRef()
+    .where('status', '==', 'waiting')
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(limit)
+  if (cursor) waitingQuery = waitingQuery.startAfter(cursor)
+
+  const [offeredSnap, waitingSnap] = await Promise.all([
+    waitlistRef()
+      .where('status', '==', 'offered')
+      .where('offerExpiresAt', '<=', admin.firestore.Timestamp.now())
+      .limit(limit)
+      .get(),
+    waitingQuery.get()
+  ])
+
+  // Start over from the top once the last page has been read
+  const lastDoc = waitingSnap.docs[waitingSnap.docs.length - 1]
+  await stateRef.set({
+    cursor: waitingSnap.size < limit ? null : lastDoc.id,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true })
+
+  let expired = 0
+  for (const doc of offeredSnap.docs) {
+    try {
+      if (await expireOffer(doc.ref)) expired++
+    } catch (err) {
+      console.error('❌ Failed to expire waitlist offer', doc.id, err)
+    }
+  }
+
+  const eventIds = new Set(waitingSnap.docs.map(doc => doc.data().eventId))
+  let offered = 0
+  for (const eventId of eventIds) {
+    try {
+      offered += await processWaitlist(eventId)
+    } catch (err) {
+      console.error('❌ Waitlist processing failed for event', eventId, err)
+    }
+  }
+
+  return { expired, offered }
+}
+
+/* =======================
+   CHECKING OUT WITH AN OFFER
+======================= */
+
+/** What an offer link is for, so checkout can be prefilled. */
+export const getWaitlistOffer = async token => {
+  const snap = await waitlistRef().where('offerTokenHash', '==', hashToken(token)).limit(1).get()
+  if (snap.empty) throw notFound('Offer not found')
+
+  const entry = snap.docs[0].data()
+  assertOfferOpen(entry)
+
+  return {
+    eventId: entry.eventId,
+    eventName: entry.eventName,
+    ticketTypeId: entry.ticketTypeId,
+    ticketName: entry.ticketName,
+    quantity: entry.offerQuantity,
+    email: entry.email,
+    name: entry.name,
+    expiresAt: entry.offerExpiresAt.toDate()
+  }
+}
+
+/**
+ * Check an offer token against the checkout before any transaction: it
+ * must be open, for this buyer, and the cart must be exactly the offer.
+ */
+export const findWaitlistOffer = async ({ token, eventId, email, lines }) => {
+  const snap = await waitlistRef().where('offerTokenHash', '==', hashToken(token)).limit(1).get()
+  const doc = snap.docs[0]
+  const entry = doc?.data()
+  if (!entry || entry.eventId !== eventId) throw badRequest('Invalid waitlist offer')
+
+  assertOfferOpen(entry)
+  if (entry.email !== email.toLowerCase()) throw forbidden('This offer was sent to a different email')
+
+  const [line, ...rest] = lines
+  if (rest.length || line?.ticketId !== entry.ticketTypeId || line.quantity !== entry.offerQuantity) {
+    throw badRequest(`This offer is for ${entry.offerQuantity} ${entry.ticketName} ticket(s)`)
+  }
+
+  return { id: doc.id, ...entry }
+}
+
+/** Re-read an offer inside the checkout transaction. */
+export const readWaitlistOffer = async (tx, offerId) => {
+  const snap = await tx.get(waitlistRef().doc(offerId))
+  assertOfferOpen(snap.data())
+  return { id: snap.id, ...snap.data() }
+}
+
+/**
+ * Move an offer's held seats to a paid checkout's reference. Returns
+ * { expiresAt, cancelToken, apply } like holdSeats. The offer and the
+ * checkout's hold expire together: the first checkout gets at least
+ * RESERVATION_TTL_MINUTES, retries with the same link keep that deadline,
+ * so the sweeper never finds an open offer whose seats are gone.
+ */
+export const claimWaitlistOffer = async (tx, { offerId, reference }) => {
+  const entry = await readWaitlistOffer(tx, offerId)
+  const checkoutMinimum = Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000
+  const expiresAt = (entry.checkoutStartedAt || entry.offerExpiresAt.toMillis() >= checkoutMinimum)
+    ? entry.offerExpiresAt
+    : admin.firestore.Timestamp.fromMillis(checkoutMinimum)
+
+  const hold = await transferHold(tx, {
+    fromReference: entry.reservationReference,
+    toReference: reference,
+    expiresAt
+  })
+
+  const apply = () => {
+    hold.apply()
+    tx.update(waitlistRef().doc(offerId), {
+      reservationReference: reference,
+      offerExpiresAt: expiresAt,
+      checkoutStartedAt: entry.checkoutStartedAt || admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  }
+
+  return { expiresAt: hold.expiresAt, cancelToken: hold.cancelToken, apply }
+}
+
+/** Record the sale an offer turned into. Write-only, for the issuing transaction. */
+export const markWaitlistConverted = (tx, offerId, reference) =>
+  tx.update(waitlistRef().doc(offerId), {
+    status: 'converted',
+    convertedReference: reference,
+    convertedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+/* =======================
+   ORGANIZER STATS
+======================= */
+export const waitlistStats = async eventId => {
+  const snap = await waitlistRef().where('eventId', '==', eventId).get()
+
+  const empty = () => ({
+    waiting: 0,
+    waitingQuantity: 0,
+    offered: 0,
+    expired: 0,
+    converted: 0,
+    convertedQuantity: 0
+  })
+
+  const totals = empty()
+  const byType = new Map()
+
+  for (const doc of snap.docs) {
+    const entry = doc.data()
+    if (!byType.has(entry.ticketTypeId)) {
+      byType.set(entry.ticketTypeId, { ticketTypeId: entry.ticketTypeId, ticketName: entry.ticketName, ...empty() })
+    }
+
+    for (const row of [totals, byType.get(entry.ticketTypeId)]) {
+      if (entry.status === 'waiting') {
+        row.waiting++
+        row.waitingQuantity += entry.quantity
+      } else if (entry.status === 'offered') {
+        row.offered++
+      } else if (entry.status === 'expired') {
+        row.expired++
+      } else if (entry.status === 'converted') {
+        row.converted++
+        row.convertedQuantity += entry.offerQuantity || entry.quantity
+      }
+    }
+  }
+
+  // Of the offers that have played out, how many became sales
+  const withRate = row => ({
+    ...row,
+    conversionRate: row.converted + row.expired
+      ? Math.round((row.converted / (row.converted + row.expired)) * 1000) / 10
+      : null
+  })
+
+  return {
+    eventId,
+    totals: withRate(totals),
+    ticketTypes: [...byType.values()].map(withRate)
+  }
+}
@@ -0,0 +1,37 @@
+import { admin, db } from './firebase.js'
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+
+/* =======================
+   WALLETS
+   wallets/{ownerId} keeps NGN in the original top-level fields (balance,
+   pendingBalance, settledBalance, lockedBalance, totalEarnings,
+   totalRevenue, totalWithdrawn). Every other currency has the same
+   fields under balances.{CUR}, so dollars never land in a naira balance.
+======================= */
+
+export const walletRef = ownerId => db.collection('wallets').doc(ownerId)
+
+/**
+ * Increment wallet fields in one currency, e.g.
+ * adjustWallet(tx, organizerId, 'USD', { pendingBalance: 40, totalEarnings: 40 }).
+ * `writer` is a transaction or a batch. Called by ledger.postJournal
+ * only, so every change has a journal behind it.
+ */
+export const adjustWallet = (writer, ownerId, currency, deltas) => {
+  const code = normalizeCurrency(currency)
+  const fields = Object.fromEntries(
+    Object.entries(deltas).map(([field, delta]) => [field, admin.firestore.FieldValue.increment(delta)])
+  )
+
+  writer.set(walletRef(ownerId), {
+    ...(code === DEFAULT_CURRENCY ? fields : { balances: { [code]: fields } }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true })
+}
+
+/** One field of a wallet document in one currency. */
+export const walletBalance = (wallet, currency, field) => {
+  const code = normalizeCurrency(currency)
+  const source = code === DEFAULT_CURRENCY ? wallet : wallet?.balances?.[code]
+  return source?.[field] || 0
+}
@@ -0,0 +1,213 @@
+import crypto from 'crypto'
+import { admin, db } from './firebase.js'
+import { conflict, notFound } from './errors.js'
+import { fulfillCharge } from './fulfillment.js'
+import { handleRefundEvent } from './refunds.js'
+import { handleTransferEvent } from './withdrawals.js'
+import { getProvider } from './providers/index.js'
+
+/* =======================
+   WEBHOOK INBOX
+   Verified payloads are stored in webhook_events and acknowledged right
+   away; the worker below does the actual work.
+   pending -> processing -> processed
+                        \-> retrying (backoff) -> ... -> dead
+   Dead events stay put until an admin replays them.
+======================= */
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+const BASE_DELAY_MS = 30 * 1000
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000
+// A worker that dies mid-event loses its claim after this
+const LOCK_MS = 5 * 60 * 1000
+
+const eventsRef = () => db.collection('webhook_events')
+
+/**
+ * Normalise one provider payload and route it to its handler.
+ */
+export const handleProviderEvent = async (providerName, payload) => {
+  const event = await getProvider(providerName).parseWebhook(payload)
+
+  if (event.type === 'charge.success') {
+    await fulfillCharge(event.charge, { source: 'webhook' })
+  } else if (event.type?.startsWith('refund.')) {
+    await handleRefundEvent(event)
+  } else if (event.type?.startsWith('transfer.')) {
+    await handleTransferEvent(event)
+  }
+}
+
+/**
+ * Store a verified payload. Provider retries resend the same body, so the
+ * body hash is the id and a retry of a stored event is a no-op.
+ */
+export const storeWebhookEvent = async (providerName, rawBody, payload) => {
+  const id = crypto.createHash('sha256').update(rawBody).digest('hex')
+
+  try {
+    await eventsRef().doc(id).create({
+      provider: providerName,
+      event: payload.event || null,
+      reference: payload.data?.reference || payload.data?.tx_ref || payload.data?.transaction_reference || null,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      receivedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  } catch (err) {
+    // ALREADY_EXISTS
+    if (err.code !== 6) throw err
+  }
+
+  return id
+}
+
+const backoffDelay = attempts =>
+  Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1))
+
+/**
+ * Claim an event for this worker. False when another worker got it first
+ * or it is no longer due.
+ */
+const claimEvent = ref =>
+  db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    const event = snap.data()
+    const now = Date.now()
+
+    const due = ['pending', 'retrying'].includes(event.status) &&
+      event.nextAttemptAt.toMillis() <= now
+    const abandoned = event.status === 'processing' &&
+      (event.lockedUntil?.toMillis() || 0) <= now
+
+    if (!due && !abandoned) return null
+
+    tx.update(ref, {
+      status: 'processing',
+      attempts: (event.attempts || 0) + 1,
+      lockedUntil: admin.firestore.Timestamp.fromMillis(now + LOCK_MS)
+    })
+
+    return { ...event, attempts: (event.attempts || 0) + 1 }
+  })
+
+const runEvent = async doc => {
+  const event = await claimEvent(doc.ref)
+  if (!event) return
+
+  try {
+    await handleProviderEvent(event.provider || 'paystack', event.payload)
+
+    await doc.ref.update({
+      status: 'processed',
+      lastError: admin.firestore.FieldValue.delete(),
+      lockedUntil: admin.firestore.FieldValue.delete(),
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  } catch (err) {
+    const dead = event.attempts >= MAX_ATTEMPTS
+    console.error(`❌ Webhook event ${doc.id} (${event.event}) failed, attempt ${event.attempts}:`, err)
+
+    await doc.ref.update({
+      status: dead ? 'dead' : 'retrying',
+      lastError: err.message || String(err),
+      lockedUntil: admin.firestore.FieldValue.delete(),
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + backoffDelay(event.attempts)),
+      ...(dead ? { deadAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+    })
+  }
+}
+
+let draining = false
+
+/**
+ * Process everything that is due. Safe to call often: one drain at a time
+ * per process, and each event is claimed before it runs.
+ */
+export const processWebhookEvents = async (limit = 20) => {
+  if (draining) return
+  draining = true
+
+  try {
+    const now = admin.firestore.Timestamp.now()
+
+    const [due, abandoned] = await Promise.all([
+      eventsRef()
+        .where('status', 'in', ['pending', 'retrying'])
+        .where('nextAttemptAt', '<=', now)
+        .orderBy('nextAttemptAt')
+        .limit(limit)
+        .get(),
+      eventsRef()
+        .where('status', '==', 'processing')
+        .where('lockedUntil', '<=', now)
+        .limit(limit)
+        .get()
+    ])
+
+    for (const doc of [...due.docs, ...abandoned.docs]) {
+      await runEvent(doc)
+    }
+  } finally {
+    draining = false
+  }
+}
+
+const serializeEvent = doc => {
+  const data = doc.data()
+
+  return {
+    id: doc.id,
+    provider: data.provider,
+    event: data.event,
+    reference: data.reference,
+    status: data.status,
+    attempts: data.attempts || 0,
+    lastError: data.lastError || null,
+    nextAttemptAt: data.nextAttemptAt?.toDate() || null,
+    receivedAt: data.receivedAt?.toDate() || null,
+    processedAt: data.processedAt?.toDate() || null,
+    deadAt: data.deadAt?.toDate() || null
+  }
+}
+
+export const listWebhookEvents = async ({ status = 'dead', limit = 50 } = {}) => {
+  const snap = await eventsRef()
+    .where('status', '==', status)
+    .limit(limit)
+    .get()
+
+  return snap.docs.map(serializeEvent)
+}
+
+export const getWebhookEvent = async id => {
+  const snap = await eventsRef().doc(id).get()
+  if (!snap.exists) throw notFound('Webhook event not found')
+
+  return { ...serializeEvent(snap), payload: snap.data().payload }
+}
+
+/**
+ * Put a dead (or failing) event back in the queue for an immediate retry.
+ */
+export const replayWebhookEvent = async (id, adminId) =>
+  db.runTransaction(async tx => {
+    const ref = eventsRef().doc(id)
+    const snap = await tx.get(ref)
+    if (!snap.exists) throw notFound('Webhook event not found')
+
+    const { status } = snap.data()
+    if (!['dead', 'retrying'].includes(status)) {
+      throw conflict(`Only dead or retrying events can be replayed (this one is ${status})`)
+    }
+
+    tx.update(ref, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      replayedBy: adminId,
+      replayedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  })
@@ -0,0 +1,316 @@
+import { admin, db } from './firebase.js'
+import { badRequest, conflict, notFound } from './errors.js'
+import { getProvider } from './providers/index.js'
+import { DEFAULT_CURRENCY, formatMoney, normalizeCurrency, roundMoney, toMinor } from './currency.js'
+import { walletBalance, walletRef } from './wallets.js'
+import { ACCOUNTS, backfillWithdrawRequest, postJournal } from './ledger.js'
+
+/* =======================
+   ORGANIZER WITHDRAWALS
+   withdraw_requests/{id}: pending -> processing (admin approved, transfer
+   started) -> paid | failed | reversed (transfer.* webhooks)
+                           pending -> rejected
+   Requested funds move from settledBalance to lockedBalance until the
+   transfer finishes, so they can't be requested twice. Payouts go through
+   the provider the payout account was created with.
+======================= */
+
+const requestRef = id => db.collection('withdraw_requests').doc(id)
+
+// One payout account per organizer, keyed by their uid
+const payoutAccountRef = organizerId => db.collection('payout_accounts').doc(organizerId)
+
+/**
+ * Save the bank account the organizer's withdrawals are paid to. Replaces
+ * any earlier one.
+ */
+export const savePayoutAccount = (organizerId, { provider, accountNumber, bankCode, businessName, subaccountCode }) =>
+  payoutAccountRef(organizerId).set({
+    organizerId,
+    provider,
+    accountNumber,
+    bankCode,
+    businessName: businessName || null,
+    subaccountCode: subaccountCode || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+/**
+ * Accounts saved before payout_accounts existed only live on the
+ * subaccounts docs; one is used only when it is the organizer's only one.
+ */
+const legacyPayoutAccount = async organizerId => {
+  const snap = await db
+    .collection('subaccounts')
+    .where('organizerId', '==', organizerId)
+    .limit(2)
+    .get()
+
+  return snap.size === 1 ? snap.docs[0].data() : null
+}
+
+/** Where the organizer's withdrawals are paid. */
+const getPayoutAccount = async organizerId => {
+  const snap = await payoutAccountRef(organizerId).get()
+  const account = snap.exists ? snap.data() : await legacyPayoutAccount(organizerId)
+
+  if (!account?.accountNumber || !account?.bankCode) {
+    throw badRequest('No payout bank account on file. Set up your payout account first.')
+  }
+
+  return {
+    accountNumber: account.accountNumber,
+    bankCode: account.bankCode,
+    provider: account.provider || 'paystack'
+  }
+}
+
+/**
+ * Lock `amount` of the organizer's settled balance in `currency` (NGN by
+ * default) for an admin to pay out.
+ */
+export const requestWithdrawal = async ({ organizerId, amount, currency }) => {
+  const code = normalizeCurrency(currency)
+  const value = roundMoney(Number(amount), code)
+  if (!Number.isFinite(value) || value <= 0) throw badRequest('Invalid amount')
+
+  const bank = await getPayoutAccount(organizerId)
+  const ref = db.collection('withdraw_requests').doc()
+
+  await db.runTransaction(async tx => {
+    const walletSnap = await tx.get(walletRef(organizerId))
+    const settledBalance = walletBalance(walletSnap.data(), code, 'settledBalance')
+
+    if (settledBalance < value) throw conflict(`Insufficient settled ${code} balance`)
+
+    postJournal(tx, {
+      id: `wd_request_${ref.id}`,
+      type: 'withdrawal_request',
+      currency: code,
+      withdrawRequestId: ref.id,
+      lines: [
+        { account: ACCOUNTS.settled(organizerId), debit: value },
+        { account: ACCOUNTS.locked(organizerId), credit: value }
+      ]
+    })
+
+    tx.set(ref, {
+      organizerId,
+      amount: value,
+      currency: code,
+      journaled: true,
+      bank,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  })
+
+  return ref.id
+}
+
+export const approveWithdrawal = async ({ requestId, adminId }) => {
+  const ref = requestRef(requestId)
+  const transferReference = `WD-${requestId}`
+  const ledgerRef = db.collection('wallet_transactions').doc(transferReference)
+
+  // Claim it first so two admins can't start two transfers. The ledger row
+  // exists before the provider is called, so a transfer.* webhook that
+  // beats the provider's reply always finds it and nothing overwrites it.
+  const request = await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    if (!snap.exists) throw notFound('Withdrawal request not found')
+    if (snap.data().status !== 'pending') {
+      throw conflict(`Withdrawal is already ${snap.data().status}`)
+    }
+
+    const { organizerId, amount, currency = DEFAULT_CURRENCY, bank } = snap.data()
+    const providerName = getProvider(bank.provider).name
+
+    tx.update(ref, {
+      status: 'processing',
+      reference: transferReference,
+      approvedBy: adminId,
+      approvedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.set(ledgerRef, {
+      organizerId,
+      withdrawRequestId: requestId,
+      reference: transferReference,
+      amount,
+      currency,
+      type: 'withdrawal',
+      status: 'processing',
+      source: providerName,
+      provider: providerName,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return snap.data()
+  })
+
+  const provider = getProvider(request.bank.provider)
+
+  let transfer
+  try {
+    const currency = request.currency || DEFAULT_CURRENCY
+
+    transfer = await provider.transfer({
+      bank: request.bank,
+      amountMinor: toMinor(request.amount, currency),
+      currency,
+      reference: transferReference,
+      reason: 'Airticks organizer payout'
+    })
+  } catch (err) {
+    // Back to the queue so an admin can retry once the problem is fixed
+    const batch = db.batch()
+    batch.update(ref, {
+      status: 'pending',
+      lastError: err.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+    batch.delete(ledgerRef)
+    await batch.commit()
+    throw err
+  }
+
+  // Status is left to the webhooks, which may already have moved it on
+  await ref.update({
+    transferCode: transfer.transferCode,
+    lastError: admin.firestore.FieldValue.delete(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+
+  return { reference: transferReference, transferStatus: transfer.status }
+}
+
+export const rejectWithdrawal = async ({ requestId, adminId, reason }) => {
+  const ref = requestRef(requestId)
+
+  const request = await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    if (!snap.exists) throw notFound('Withdrawal request not found')
+    if (snap.data().status !== 'pending') {
+      throw conflict(`Withdrawal is already ${snap.data().status}`)
+    }
+
+    const { organizerId, amount, currency = DEFAULT_CURRENCY } = snap.data()
+
+    backfillWithdrawRequest(tx, requestId, snap.data())
+    postJournal(tx, {
+      id: `wd_rejected_${requestId}`,
+      type: 'withdrawal_rejected',
+      currency,
+      withdrawRequestId: requestId,
+      lines: [
+        { account: ACCOUNTS.locked(organizerId), debit: amount },
+        { account: ACCOUNTS.settled(organizerId), credit: amount }
+      ]
+    })
+
+    tx.update(ref, {
+      status: 'rejected',
+      journaled: true,
+      rejectedBy: adminId,
+      rejectionReason: reason || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    return snap.data()
+  })
+
+  await db.collection('notifications').add({
+    type: 'withdrawal_rejected',
+    title: '❌ Withdrawal Rejected',
+    message: `Your withdrawal of ${formatMoney(request.amount, request.currency)} was rejected${reason ? `: ${reason}` : ''}`,
+    userId: request.organizerId,
+    link: '/dashboard/organization/wallet',
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+const TRANSFER_OUTCOMES = {
+  'transfer.success': 'paid',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed'
+}
+
+/**
+ * transfer.success / transfer.failed / transfer.reversed as normalised by
+ * the provider adapter.
+ */
+export const handleTransferEvent = async ({ type, transfer }) => {
+  const outcome = TRANSFER_OUTCOMES[type]
+  const reference = transfer?.reference
+  if (!outcome || !reference?.startsWith('WD-')) return
+
+  const ref = requestRef(reference.slice(3))
+  const ledgerRef = db.collection('wallet_transactions').doc(reference)
+
+  const request = await db.runTransaction(async tx => {
+    const snap = await tx.get(ref)
+    if (!snap.exists) return null
+
+    const request = snap.data()
+    const previous = request.status
+
+    // Duplicate webhook, or a failure report for a transfer already undone
+    if (previous === outcome || ['failed', 'reversed', 'rejected'].includes(previous)) return null
+
+    const { organizerId, amount, currency = DEFAULT_CURRENCY } = request
+
+    // Paid: locked -> payouts. Failed: locked -> settled.
+    // Reversed after success: the payout comes back to settled.
+    const from = outcome !== 'paid' && previous === 'paid'
+      ? ACCOUNTS.payouts(organizerId)
+      : ACCOUNTS.locked(organizerId)
+    const to = outcome === 'paid' ? ACCOUNTS.payouts(organizerId) : ACCOUNTS.settled(organizerId)
+
+    backfillWithdrawRequest(tx, ref.id, request)
+    postJournal(tx, {
+      id: `wd_${outcome}_${ref.id}`,
+      type: `withdrawal_${outcome}`,
+      currency,
+      reference,
+      withdrawRequestId: ref.id,
+      lines: [
+        { account: from, debit: amount },
+        { account: to, credit: amount }
+      ]
+    })
+
+    tx.update(ref, {
+      status: outcome,
+      journaled: true,
+      transferStatus: transfer.status || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+
+    tx.set(ledgerRef, {
+      status: outcome === 'paid' ? 'success' : outcome,
+      ...(outcome === 'paid' ? { paidAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true })
+
+    return request
+  })
+
+  if (!request) return
+
+  await db.collection('notifications').add({
+    type: outcome === 'paid' ? 'withdrawal' : 'withdrawal_failed',
+    title: outcome === 'paid' ? '🏦 Withdrawal Paid' : '⚠️ Withdrawal Failed',
+    message: outcome === 'paid'
+      ? `${formatMoney(request.amount, request.currency)} has been sent to your bank`
+      : `Your withdrawal of ${formatMoney(request.amount, request.currency)} was ${outcome}. The funds are back in your wallet.`,
+    userId: request.organizerId,
+    amount: request.amount,
+    currency: request.currency || DEFAULT_CURRENCY,
+    reference,
+    link: '/dashboard/organization/wallet',
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
@@ -0,0 +1,22 @@
+// Run one settlement sync outside the server, e.g. from cron:
+//   npm run sync:settlements [-- <provider>]   (default paystack)
+import { syncSettlements } from '../lib/settlements.js'
+import { formatMoney } from '../lib/currency.js'
+
+try {
+  const run = await syncSettlements({ trigger: 'cli', provider: process.argv[2] || 'paystack' })
+
+  console.log(`✅ Sync run ${run.runId}: ${run.pages} page(s), ${run.processed.length} settlement(s) booked`)
+  for (const mismatch of run.mismatches) {
+    console.warn(
+      `⚠️ Settlement ${mismatch.reference} (${formatMoney(mismatch.settlementAmount, mismatch.currency)}) exceeds pending balance ${formatMoney(mismatch.pendingBalance, mismatch.currency)} for ${mismatch.organizerId}; ${formatMoney(mismatch.shortfall, mismatch.currency)} parked for review`
+    )
+  }
+  if (run.unmapped.length) {
+    console.warn(`⚠️ ${run.unmapped.length} settlement(s) from unmapped subaccounts; the cursor waits for them`)
+  }
+  process.exit(0)
+} catch (err) {
+  console.error('❌ Settlement sync failed:', err.message)
+  process.exit(1)
+}
@@ -2,14 +2,110 @@ import express from 'express'
 import dotenv from 'dotenv'
 dotenv.config()
 import fetch from 'node-fetch'
-import admin from 'firebase-admin'
 import cors from 'cors'
-import QRCode from 'qrcode'
-import Brevo from '@getbrevo/brevo'
 import crypto from 'crypto'
 import { GoogleGenAI } from "@google/genai";
 import axios from "axios";
 import nodemailer from "nodemailer";
+import { admin, db } from './lib/firebase.js'
+import { HttpError, badRequest, conflict } from './lib/errors.js'
+import { DEFAULT_CURRENCY, formatMoney, normalizeCurrency, roundMoney, toMinor } from './lib/currency.js'
+import { walletBalance, walletRef } from './lib/wallets.js'
+import { ACCOUNTS, auditWallet, auditWallets, postJournal, repairWallet } from './lib/ledger.js'
+import { deleteFeeRule, listFeeRules, resolveFeeRule, saveFeeRule } from './lib/feeRules.js'
+import { buildQuote, getTicketList } from './lib/pricing.js'
+import { getOwnedEvent } from './lib/events.js'
+import { flattenAttendees, parseCartItems } from './lib/cart.js'
+import { completeAcceptedRefunds, createRefund } from './lib/refunds.js'
+import { sendFreeTicketEmails, sendStaffInviteEmail } from './lib/email.js'
+import { fulfillCharge, listChargeRecords, listUnfulfilledOrders, replayCharge } from './lib/fulfillment.js'
+import {
+  assertCurrencySupported,
+  assertSettlementSupported,
+  eventSubaccount,
+  getProvider,
+  providerForEvent
+} from './lib/providers/index.js'
+import {
+  listSettlementReviews,
+  listSyncRuns,
+  resolveSettlementShortfall,
+  settlementProviders,
+  syncSettlements
+} from './lib/settlements.js'
+import {
+  buildOrganizerReport,
+  buildPlatformReport,
+  parseReportRange,
+  renderReportCsv,
+  renderReportPdf
+} from './lib/reports.js'
+import {
+  SCAN_ACCEPTED,
+  buildScanManifest,
+  listScans,
+  resolveScanEvent,
+  scanTicket,
+  syncOfflineScans
+} from './lib/scanning.js'
+import {
+  acceptStaffInvite,
+  getStaffEvent,
+  inviteStaff,
+  listEventStaff,
+  listMyStaffEvents,
+  removeStaff
+} from './lib/staff.js'
+import { setEntryPolicy } from './lib/entryPolicies.js'
+import { applyActiveTiers, assertSaleWindowOpen, currentTiers, setSalesSchedule } from './lib/salesTiers.js'
+import { setTransferRules, transferTicket } from './lib/transfers.js'
+import { getTicketForUser, lookupTicket } from './lib/tickets.js'
+import { getOrderForUser, listMyOrders, listMyTickets, resendTicketEmails } from './lib/orders.js'
+import { requestGuestAccess, resolveGuestAccess } from './lib/guestAccess.js'
+import { TICKET_DOWNLOAD_FORMATS, renderTicketDownload } from './lib/ticketRender.js'
+import {
+  getTicketSigner,
+  issueTicketQr,
+  listEventPublicKeys,
+  rotateEventKey
+} from './lib/ticketTokens.js'
+import {
+  approveWithdrawal,
+  rejectWithdrawal,
+  requestWithdrawal,
+  savePayoutAccount
+} from './lib/withdrawals.js'
+import {
+  getWebhookEvent,
+  listWebhookEvents,
+  processWebhookEvents,
+  replayWebhookEvent,
+  storeWebhookEvent
+} from './lib/webhookInbox.js'
+import {
+  cancelReservation,
+  claimSeats,
+  holdSeats,
+  releaseExpiredReservations,
+  releaseReservation
+} from './lib/inventory.js'
+import {
+  claimWaitlistOffer,
+  findWaitlistOffer,
+  getWaitlistOffer,
+  joinWaitlist,
+  markWaitlistConverted,
+  readWaitlistOffer,
+  sweepWaitlists,
+  waitlistStats
+} from './lib/waitlist.js'
+import {
+  createPromoCode,
+  disablePromoCode,
+  findPromoCode,
+  listPromoCodes,
+  redeemPromoCode
+} from './lib/promoCodes.js'
 
 
 
@@ -18,21 +114,23 @@ const ai = new GoogleGenAI({
 });
 
 const app = express()
+
+// Anonymous rate limits key on req.ip, so it must be the client address rather
+// than the hosting proxy's. TRUST_PROXY takes a hop count or an Express trust
+// list (e.g. "loopback" or "10.0.0.0/8"); by default one proxy hop is trusted.
+const parseTrustProxy = (value = '1') => {
+  if (/^\d+$/.test(value)) return Number(value)
+  if (value === 'true' || value === 'false') return value === 'true'
+  return value
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY))
+
 app.use(cors())
 
 // Use raw body for webhook, JSON for other routes
-app.use('/api/webhook/paystack', express.raw({ type: 'application/json' }))
+app.use('/api/webhook', express.raw({ type: 'application/json' }))
 app.use(express.json())
 
-/* =======================
-   FIREBASE ADMIN
-======================= */
-if (!admin.apps.length) {
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
-  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) })
-}
-const db = admin.firestore()
-
 const authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split('Bearer ')[1]
   if (!token) return res.status(401).json({ error: 'Unauthorized' })
@@ -58,11 +156,29 @@ const authenticate = async (req, res, next) => {
   }
 }
 
+// Like authenticate, but lets anonymous callers through with no req.user
+const optionalAuthenticate = (req, res, next) =>
+  req.headers.authorization ? authenticate(req, res, next) : next()
+
 /* =======================
-   BREVO EMAIL SETUP
+   BUYER AUTH
+   Signed-in users, or guests holding a magic-link token (X-Guest-Token)
 ======================= */
-const emailApi = new Brevo.TransactionalEmailsApi()
-emailApi.authentications['apiKey'].apiKey = process.env.BREVO_API_KEY
+const authenticateBuyer = async (req, res, next) => {
+  const guestToken = req.headers['x-guest-token']
+  if (!guestToken) return authenticate(req, res, next)
+
+  try {
+    req.user = await resolveGuestAccess(guestToken)
+    next()
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Guest access error:', err)
+    return res.status(401).json({ error: 'Invalid link' })
+  }
+}
 
 /* =======================
    TEST ROUTE
@@ -235,25 +351,12 @@ Requirements:
 
 app.get("/api/banks", async (req, res) => {
   try {
-    const response = await fetch(
-      "https://api.paystack.co/bank?country=nigeria",
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        },
-      }
-    );
+    const provider = getProvider(req.query.provider);
+    const banks = await provider.listBanks({ country: req.query.country || undefined });
 
-    const data = await response.json();
-
-    if (!data.status) {
-      return res.status(400).json({
-        error: data.message,
-      });
-    }
-
-    res.json(data.data);
+    res.json(banks);
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({
       error: "Unable to fetch banks",
@@ -271,30 +374,11 @@ app.post("/api/resolve-account", async (req, res) => {
       });
     }
 
-    const response = await fetch(
-      `https://api.paystack.co/bank/resolve?account_number=${accountNumber}&bank_code=${bankCode}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        },
-      }
-    );
-
-    const data = await response.json();
-
-    if (!data.status) {
-      return res.status(400).json({
-        error: data.message,
-      });
-    }
-
-    res.json({
-      accountName: data.data.account_name,
-      accountNumber: data.data.account_number,
-      bankId: data.data.bank_id,
-    });
+    const provider = getProvider(req.body.provider);
+    res.json(await provider.resolveAccount({ accountNumber, bankCode }));
 
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
     console.error(err);
 
     res.status(500).json({
@@ -304,15 +388,15 @@ app.post("/api/resolve-account", async (req, res) => {
 });
 
 /* =======================
-   CREATE PAYSTACK SUBACCOUNT
+   CREATE ORGANIZER SUBACCOUNT
+   `provider` picks the payment provider (default paystack)
 ======================= */
-app.post('/api/create-subaccount', async (req, res) => {
+app.post('/api/create-subaccount', authenticate, async (req, res) => {
   try {
     const {
       business_name,
       account_number,
       bank_code,
-      percentage_charge,
       primary_contact_email
     } = req.body
 
@@ -320,36 +404,49 @@ app.post('/api/create-subaccount', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' })
     }
 
-    const response = await fetch('https://api.paystack.co/subaccount', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        business_name,
-        settlement_bank: bank_code,
-        account_number,
-        percentage_charge: percentage_charge || 0,
-        primary_contact_email
-      })
-    })
+    const provider = getProvider(req.body.provider)
 
-    const data = await response.json()
+    // Organizers set up their own account; only admins may act for another
+    const organizerId = req.user.isAdmin && req.body.organizerId ? req.body.organizerId : req.user.uid
 
-    if (!data.status) {
-      return res.status(400).json({ error: data.message })
-    }
+    // The split is the organizer's fee rule; each checkout also sends its
+    // exact fee, this is only the provider's fallback
+    const feeRule = await resolveFeeRule({ organizerId })
+
+    const { code } = await provider.createSubaccount({
+      businessName: business_name,
+      accountNumber: account_number,
+      bankCode: bank_code,
+      percentageCharge: feeRule.percentage,
+      email: primary_contact_email,
+      country: req.body.country || undefined
+    })
 
-    await db.collection('subaccounts').doc(data.data.subaccount_code).set({
-      organizerId: req.body.organizerId,
+    // Settlement sync maps the subaccount back to its organizer
+    await db.collection('subaccounts').doc(code).set({
+      organizerId,
+      provider: provider.name,
+      businessName: business_name,
+      accountNumber: account_number,
+      bankCode: bank_code,
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     })
 
+    // The same bank account is where organizer withdrawals are paid
+    await savePayoutAccount(organizerId, {
+      provider: provider.name,
+      accountNumber: account_number,
+      bankCode: bank_code,
+      businessName: business_name,
+      subaccountCode: code
+    })
+
     res.json({
-      subaccount_code: data.data.subaccount_code
+      subaccount_code: code,
+      provider: provider.name
     })
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message })
     console.error('SUBACCOUNT ERROR:', err)
     res.status(500).json({ error: 'Failed to create subaccount' })
   }
@@ -363,57 +460,17 @@ app.post('/api/init-payment', async (req, res) => {
     /* ===============================
        1. READ & VALIDATE INPUT
     =============================== */
-const {
-    name,
-    email,
-    eventId,
-    ticketId,
-    ticketName,
-    ticketType,
-    ticketCurrency,
-    ticketQuantity,
-    ticketPrice,
-    userId,
-    attendees = []
-} = req.body;
-
-
-    if (!email || !eventId || !ticketId || !ticketName || !ticketType || !ticketCurrency || ticketPrice === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' })
-    }
+    const { name, email, eventId, userId, promoCode, waitlistOffer } = req.body
 
-    const qty = Number(ticketQuantity);
-    if (!Number.isInteger(qty) || qty <= 0) {
-      return res.status(400).json({ error: 'Invalid ticket quantity' })
+    if (!email || !eventId) {
+      return res.status(400).json({ error: 'Missing required fields' })
     }
 
-    const attendeesList =
-      Array.isArray(attendees) && attendees.length > 0
-        ? attendees
-        : [
-            {
-              name: name || "Guest",
-              email: email.toLowerCase(),
-              isBuyer: true,
-            },
-          ];
-
-          const emails = attendeesList.map(a =>
-              a.email.toLowerCase()
-          );
+    // One line per ticket type: { ticketId, quantity, attendees }
+    const requestedItems = parseCartItems(req.body)
+    const qty = requestedItems.reduce((total, item) => total + item.quantity, 0)
 
-          if (new Set(emails).size !== emails.length) {
-              return res.status(400).json({
-                  error: "Duplicate attendee emails are not allowed."
-              });
-          }
-
-    if (attendeesList.length !== qty) {
-      return res.status(400).json({
-        error: "Attendee count does not match ticket quantity."
-      });
-    }
-/* ===============================
+    /* ===============================
        2. FETCH EVENT
     =============================== */
     const eventSnap = await db.collection('events').doc(eventId).get()
@@ -424,28 +481,36 @@ const {
     const event = eventSnap.data()
     console.log(event);
 
+    // Sell from whichever tier is on sale now; outside every sale window this
+    // throws. A waitlist offer keeps the ticket type its seats are held on,
+    // as long as that type's sale window is still open.
+    if (waitlistOffer) requestedItems.forEach(item => assertSaleWindowOpen(event, item.ticketId))
+    const cartItems = waitlistOffer ? requestedItems : applyActiveTiers(event, requestedItems)
+
     /* ===============================
-       3. FIND TICKET
+       3. PRICE THE ORDER FROM THE EVENT
     =============================== */
-    const ticketList = Array.isArray(event.tickets)
-        ? event.tickets
-        : Array.isArray(event.price)
-        ? event.price
-        : [];
+    const ticketList = getTicketList(event)
 
-    const ticket = ticketList.find(t => t.id === ticketId);
+    const [promo, feeRule] = await Promise.all([
+      promoCode ? findPromoCode({ eventId, code: promoCode, email }) : null,
+      resolveFeeRule({ eventId, organizerId: event.ownerId })
+    ])
 
-    if (!ticket) {
-        return res.status(400).json({
-            error: "Ticket type not found"
-        });
-    }
+    const orderLines = cartItems.map(({ ticketId, quantity }) => ({ ticketId, quantity }))
+    const quote = buildQuote(event, orderLines, { promo, feeRule })
 
-    if (isNaN(ticketPrice) || ticketPrice < 0) {
-      return res.status(400).json({ error: 'Invalid ticket price configuration' })
-    }
+    // A waitlist offer already holds the seats for this buyer
+    const offer = waitlistOffer
+      ? await findWaitlistOffer({ token: waitlistOffer, eventId, email, lines: orderLines })
+      : null
+    const totalAmount = quote.total
 
-    const totalAmount = ticketPrice * qty
+    const orderItems = cartItems.map(item => ({
+      ...item,
+      ticketName: quote.items.find(line => line.ticketId === item.ticketId).name
+    }))
+    const orderAttendees = flattenAttendees(cartItems, quote)
 
     /* ============================================================
        ⚡ SHORT-CIRCUIT ROUTE FOR FREE TICKETS (0 NAIRA / 0 DOLLARS)
@@ -454,47 +519,54 @@ const {
       const freeReference = `FREE-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
       const organizerId = event.ownerId
       const ticketIds = [];
+      const signer = await getTicketSigner(eventId)
 
-      const ticketField = Array.isArray(event.tickets)
-      ? "tickets"
-      : "price";
-
-      const updatedTickets = ticketList.map(t => {
-          if (t.id !== ticketId) return t;
-
-          return {
-              ...t,
-              sold: (t.sold || 0) + qty
-          };
-      });
       await db.runTransaction(async (tx) => {
+        // Reads first: promo usage and live seat counts
+        const applyPromo = quote.discount
+          ? await redeemPromoCode(tx, {
+              discount: quote.discount,
+              reference: freeReference,
+              email,
+              userId
+            })
+          : null;
+
+        const offerEntry = offer ? await readWaitlistOffer(tx, offer.id) : null;
+
+        const seats = await claimSeats(tx, {
+          eventRef: eventSnap.ref,
+          reference: offerEntry?.reservationReference || freeReference,
+          lines: orderLines
+        });
 
-
-        const currentCount = event.attendeeCount || 0;
-
-        tx.set(eventSnap.ref,{
-        attendeeCount: currentCount + qty,
-        [ticketField]: updatedTickets,
-        ticketSold: admin.firestore.FieldValue.increment(qty),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        },{ merge:true });
+        const currentCount = seats.event.attendeeCount || 0;
+
+        applyPromo?.();
+        seats.apply();
+        if (offer) markWaitlistConverted(tx, offer.id, freeReference);
+
+        tx.set(db.collection('orders').doc(freeReference), {
+          reference: freeReference,
+          eventId,
+          userId: userId || null,
+          name: name || null,
+          email: email.toLowerCase(),
+          items: orderItems,
+          quantity: qty,
+          quote,
+          waitlistEntryId: offer?.id || null,
+          status: 'paid',
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          paidAt: admin.firestore.FieldValue.serverTimestamp()
+        });
 
 
-    for (const [index, attendee] of attendeesList.entries()) {
+    for (const [index, { attendee, line }] of orderAttendees.entries()) {
         const ticketRef = db.collection("tickets").doc();
         const ticketId = ticketRef.id;
 
-        const qrUrl = `${process.env.FRONTEND_URL}/ticket/${ticketId}`;
-        const qrData = await QRCode.toDataURL(qrUrl,{
-            width:320,
-            margin:1,
-            errorCorrectionLevel:"M",
-        });
-
-        const qrBase64 = qrData.replace(
-            /^data:image\/png;base64,/,
-            ""
-        );
+        const qrFields = await issueTicketQr(signer, { ticketId, ticketTypeId: line.ticketId });
 
         const attendeeNumber = currentCount + index + 1;
 
@@ -507,8 +579,9 @@ const {
             userId:userId || null,
             eventId,
             eventName:event.name,
-            ticketType:ticketName,
-            currency: ticket.currency,
+            ticketType: line.name,
+            ticketTypeId: line.ticketId,
+            currency: quote.currency,
             location:event.venue.name || "TBA",
             map: event.venue.map,
             amount:0,
@@ -521,11 +594,11 @@ const {
 
             purchaserName: name,
             purchaserEmail: email.toLowerCase(),
-            totalTickets: attendeesList.length,
+            totalTickets: orderAttendees.length,
             ticketQuantity: qty,
-            maxPerPerson: ticket.maxPerPerson,
+            maxPerPerson: ticketList.find(t => t.id === line.ticketId)?.maxPerPerson ?? null,
             isBuyer: attendee.isBuyer,
-            qr:qrBase64,
+            ...qrFields,
             status:"success",
             used:false,
             createdAt:admin.firestore.FieldValue.serverTimestamp()
@@ -538,556 +611,382 @@ const {
     }
   });
       // 3. Dispatch the ticket via Brevo immediately (Non-blocking worker thread)
-      setImmediate(async () => {
-        for (const { ticketId, attendee } of ticketIds) {
-          try {
-            const ticketSnap = await db.collection("tickets").doc(ticketId).get();
-
-            if (!ticketSnap.exists) continue;
-
-            const ticket = ticketSnap.data();
-
-            const emailPayload = new Brevo.SendSmtpEmail();
-
-            emailPayload.subject = `🧩 Congratulations, You're ${event.name} certified `;
-
-            emailPayload.sender = {
-              name: "Airticks Events",
-              email: process.env.EMAIL_FROM,
-            };
-
-            emailPayload.to = [
-              {
-                email: ticket.email,
-                name: ticket.buyerName,
-              },
-            ];
-
-            emailPayload.attachment = [
-              {
-                name: "ticket-qr.png",
-                content: ticket.qr,
-              },
-            ];
-
-            const intro = ticket.isBuyer
-              ? `
-                  <p>Your free ticket to <b>${event.name}</b> experience is ready.</p>
-
-                  <p>Your personal ticket is attached below.</p>
-                  <p>Ticket Number: ${ticket.attendeeNumber} </p>
-                `
-              : `
-                  <p><strong>${ticket.purchaserName}</strong> has registered you for <b>${event.name}</b>.</p>
-                  <p>Ticket Number: ${ticket.attendeeNumber} </p>
-                  
-                  <p>This QR code belongs only to you.</p>
-                `;
-
-            emailPayload.htmlContent = `
-            <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
-
-              <h2 style="text-align:center;color:#16a34a;">
-                🦅 Free Ticket Confirmed
-              </h2>
-
-              <p>Hello <strong>${ticket.buyerName}</strong>,</p>
-
-              ${intro}
-
-              <div style="text-align:center;margin:20px 0;">
-                  <img src="data:image/png;base64,${ticket.qr}" width="220"/>
-              </div>
-
-              <table style="width:100%;border-collapse:collapse;">
-
-                  <tr>
-                      <td><strong>Event:</strong></td>
-                      <td>${event.name}</td>
-                  </tr>
-
-                  <tr>
-                      <td><strong>Ticket Type:</strong></td>
-                      <td>${ticket.ticketType}</td>
-                  </tr>
-
-                  <tr>
-                      <td><strong>Direction:</strong></td>
-                      <td>${ticket.map}</td>
-                  </tr>
-
-                  <tr>
-                      <td><strong>Price:</strong></td>
-                      <td style="color:green;font-weight:bold;">FREE</td>
-                  </tr>
-
-                  <tr>
-                      <td><strong>Reference:</strong></td>
-                      <td>${ticketId}</td>
-                  </tr>
-
-              </table>
-
-              <p style="font-size:12px;color:#777;text-align:center;margin-top:20px;">
-                  Please present this QR code at the event entrance.
-              </p>
-
-            </div>
-            `;
-
-            await emailApi.sendTransacEmail(emailPayload);
-
-            console.log("✅ Free ticket email sent:", ticket.email);
-
-          } catch (err) {
-            console.error("❌ Free ticket email error:", attendee.email, err);
-          }
-          }
-        });
+      setImmediate(() => sendFreeTicketEmails({ ticketIds, event, quote }))
 
       // 4. Return success to the frontend instantly so it knows there's no redirect URL needed
       return res.json({
         success: true,
         isFree: true,
         reference: freeReference,
+        quote,
         message: 'Free ticket generated successfully!'
       })
     }
 
     /* ============================================================
-       💳 PAID TICKETS WORKFLOW (PAYSTACK ROUTING CONTINUES BELOW)
+       💳 PAID TICKETS WORKFLOW (PROVIDER ROUTING CONTINUES BELOW)
     ============================================================ */
-    if (!event.subaccountCode) {
+    const provider = providerForEvent(event)
+    const subaccount = eventSubaccount(event, provider)
+
+    if (!subaccount) {
       return res.status(400).json({ error: 'Organizer payout routing parameters are unconfigured.' })
     }
 
-    const amountInKobo = Math.round(totalAmount * 100)
-    if (amountInKobo < 100) {
-      return res.status(400).json({ error: 'Amount too low for Paystack channels processing.' })
+    assertSettlementSupported(provider)
+    assertCurrencySupported(provider, quote.currency)
+
+    if (quote.amountMinor < 100) {
+      return res.status(400).json({ error: 'Amount too low for payment channels processing.' })
     }
 
-    console.log('🧾 Processing Paid Ticket Checkout Routing:', ticketName)
+    console.log('🧾 Processing Paid Ticket Checkout Routing:', quote.items.map(item => item.name).join(', '))
 
-    const paystackRes = await fetch(
-      'https://api.paystack.co/transaction/initialize',
-      {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          email,
-          amount: amountInKobo,
-          subaccount: event.subaccountCode,
-          callback_url: `${process.env.FRONTEND_URL}/payment-success`,
-          metadata: {
-            eventId,
-            ticketId,
-            ticketName,
-            ticketPrice,
-            ticketCurrency,
-            ticketNumber: qty,
-            platform: 'airticks',
-            userId: userId || null,
-            fullName: name,
-            attendees: attendeesList,// Pass attendee list if provided
-          }
-        })
-      }
-    )
+    // Our own reference, so the quote is stored before the provider ever sees it
+    const reference = `AT-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+    const orderRef = db.collection('orders').doc(reference)
+
+    // Hold the seats while the buyer pays; released again if they never do.
+    // A waitlist offer's hold moves over to this checkout instead.
+    const { expiresAt: reservationExpiresAt, cancelToken } = await db.runTransaction(async tx => {
+      const hold = offer
+        ? await claimWaitlistOffer(tx, { offerId: offer.id, reference })
+        : await holdSeats(tx, {
+            eventRef: eventSnap.ref,
+            reference,
+            lines: orderLines
+          })
+
+      hold.apply()
+      tx.set(orderRef, {
+        reference,
+        eventId,
+        userId: userId || null,
+        name: name || null,
+        email: email.toLowerCase(),
+        items: orderItems,
+        quantity: qty,
+        quote,
+        waitlistEntryId: offer?.id || null,
+        provider: provider.name,
+        status: 'pending',
+        reservationExpiresAt: hold.expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      })
 
-    const data = await paystackRes.json()
+      return hold
+    })
 
-    if (!data.status) {
-      console.error('❌ Paystack verification failure:', data)
-      return res.status(400).json({ error: data.message })
+    let checkout
+    try {
+      checkout = await provider.initializePayment({
+        reference,
+        email,
+        name,
+        amountMinor: quote.amountMinor,
+        currency: quote.currency,
+        subaccount,
+        platformFeeMinor: toMinor(quote.platformFee.amount, quote.currency),
+        callbackUrl: `${process.env.FRONTEND_URL}/payment-success`,
+        metadata: {
+          eventId,
+          items: quote.items.map(({ ticketId, name, quantity }) => ({ ticketId, name, quantity })),
+          ticketCurrency: quote.currency,
+          ticketNumber: qty,
+          platform: 'airticks',
+          userId: userId || null,
+          fullName: name
+        }
+      })
+    } catch (err) {
+      console.error(`❌ ${provider.name} initialization failure:`, err.message)
+      // An offer's seats stay held so the buyer can try again with the same link
+      if (!offer) await releaseReservation(reference, 'init_failed')
+      await orderRef.set({ status: 'failed', updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true })
+      throw err
     }
 
     return res.json({
-      authorization_url: data.data.authorization_url,
-      reference: data.data.reference,
-      amount: totalAmount
+      authorization_url: checkout.authorizationUrl,
+      reference: checkout.reference,
+      provider: provider.name,
+      amount: totalAmount,
+      quote,
+      reservationExpiresAt: reservationExpiresAt.toDate(),
+      // Lets the buyer give the seats back early (POST /api/reservations/:reference/cancel)
+      cancelToken
     })
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
     console.error('INIT PAYMENT ERROR:', err)
     return res.status(500).json({ error: 'Payment initialization sequence faulted.' })
   }
 })
 
-/* =====================
-   PAYSTACK WEBHOOK (Refactored)
+/* =======================
+   VERIFY PAYMENT BY REFERENCE
+   Fallback for the payment-success page when the webhook is late or
+   failed: asks the order's provider directly and issues tickets if still
+   missing.
 ======================= */
-app.post('/api/webhook/paystack', async (req, res) => {
+app.get('/api/payments/:reference/verify', async (req, res) => {
   try {
-    /* =========================
-       VERIFY PAYSTACK SIGNATURE
-    ========================== */
-    const hash = crypto
-      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-      .update(req.body)
-      .digest('hex')
+    const { reference } = req.params
 
-    if (hash !== req.headers['x-paystack-signature']) {
-      return res.status(401).send('Invalid signature')
+    const orderRef = db.collection('orders').doc(reference)
+    let orderSnap = await orderRef.get()
+    if (!orderSnap.exists) {
+      return res.status(404).json({ error: 'Order not found' })
     }
 
-    const payload = JSON.parse(req.body.toString())
-
-    /* =========================
-       CHARGE SUCCESS
-    ========================== */
-    if (payload.event === 'charge.success') {
-      const { reference, metadata, customer, amount } = payload.data
-
-      if (!metadata?.eventId) {
-        console.error('❌ Missing metadata.eventId')
-        return res.sendStatus(200)
-      }
-
-      const paidAmount = amount / 100
-      const platformFee = Number((paidAmount * 0.08).toFixed(2))
-      const organizerAmount = paidAmount - platformFee
-
-      /* =========================
-         PREVENT DUPLICATES
-      ========================== */
-      // Prevent duplicate webhook processing
-      const existingWalletTx = await db
-        .collection('wallet_transactions')
-        .where('reference', '==', reference)
-        .limit(1)
-        .get()
-
-      if (!existingWalletTx.empty) {
-        console.log('⚠️ Duplicate webhook for reference:', reference)
-        return res.sendStatus(200)
-      }
-
-      /* =========================
-         FETCH EVENT
-      ========================== */
-      const eventRef = db.collection('events').doc(metadata.eventId)
-      const eventSnap = await eventRef.get()
-      if (!eventSnap.exists) return res.sendStatus(200)
-
-      const eventDoc = eventSnap.data()
-      const organizerId = eventDoc.ownerId
-      const ticketQty = Number(metadata.ticketNumber) || 1
-
-      /* =========================
-         DETERMINE ATTENDEES LIST
-      ========================== */
-      // If attendees were provided, use them. Otherwise, create single attendee from buyer
-      const attendeesList =
-          Array.isArray(metadata.attendees) &&
-          metadata.attendees.length > 0
-              ? metadata.attendees
-              : [
-                  {
-                      name: metadata.fullName || customer.name || "Guest",
-                      email: customer.email,
-                      isBuyer: true,
-                  },
-              ];
-
-        const emails = attendeesList.map(a =>
-              a.email.toLowerCase()
-          );
-
-          if (new Set(emails).size !== emails.length) {
-              return res.status(400).json({
-                  error: "Duplicate attendee emails are not allowed."
-              });
-          }
-
-      /* ============================================================
-         ⚡ PERFORMANCE OPTIMIZATION: PRE-GENERATE TICKET IDS & QR CODES
-         (Keeps the Firestore Transaction lightweight and deterministic)
-      ============================================================ */
-      const preparedTickets = [];
-      const ticketIds = [];
-
-      for (const [index, attendee] of attendeesList.entries()) {
-        const ticketRef = db.collection('tickets').doc();
-        const ticketId = ticketRef.id;
+    let paymentStatus = orderSnap.data().status === 'paid' ? 'success' : null
 
-        const qrUrl = `${process.env.FRONTEND_URL}/ticket/${ticketId}`;
-        const qrData = await QRCode.toDataURL(qrUrl, {
-          width: 320,
-          margin: 1,
-          errorCorrectionLevel: "M",
-        });
-        const qrBase64 = qrData.replace(/^data:image\/png;base64,/, '');
-
-        preparedTickets.push({
-          ticketRef,
-          ticketId,
-          index,
-          attendee,
-          qrBase64
-        });
+    if (!paymentStatus) {
+      const provider = getProvider(orderSnap.data().provider)
+      const charge = await provider.verifyPayment(reference)
+      paymentStatus = charge.status
 
-        ticketIds.push({ ticketId, attendee });
+      if (charge.status === 'success') {
+        const result = await fulfillCharge(charge, { source: 'verify' })
+        console.log(`🔁 Verify fallback for ${reference}:`, result.status)
       }
 
-      /* ============================================================
-         💼 TRANSACTION WORKFLOW (WALLETS, COUNT, & DATA WRITE)
-      ============================================================ */
-      await db.runTransaction(async tx => {
-        const platformWalletRef = db.collection('wallets').doc('platform');
-        const organizerWalletRef = db.collection('wallets').doc(organizerId);
-
-      const currentCount = eventDoc.attendeeCount || 0;
-
+      orderSnap = await orderRef.get()
+    }
 
-        // Update Wallet Metrics
-        tx.set(platformWalletRef, {
-          balance: admin.firestore.FieldValue.increment(platformFee),
-          totalRevenue: admin.firestore.FieldValue.increment(platformFee),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+    const order = orderSnap.data()
 
-        tx.set(organizerWalletRef, {
-          pendingBalance: admin.firestore.FieldValue.increment(organizerAmount),
-          totalEarnings: admin.firestore.FieldValue.increment(organizerAmount),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+    if (order.status !== 'paid') {
+      return res.json({
+        reference,
+        paymentStatus, // success | abandoned | failed | ongoing | pending ...
+        orderStatus: order.status,
+        tickets: []
+      })
+    }
 
-        // Update Event Ticket metrics
-        tx.set(eventRef, {
-          ticketSold: admin.firestore.FieldValue.increment(ticketQty),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+    const ticketSnap = await db.collection('tickets').where('reference', '==', reference).get()
 
-        const ticketField = eventDoc.tickets ? "tickets" : "price";
+    res.json({
+      reference,
+      paymentStatus,
+      orderStatus: order.status,
+      tickets: ticketSnap.docs.map(doc => ({
+        ticketId: doc.id,
+        attendeeName: doc.data().attendeeName,
+        eventName: doc.data().eventName,
+        ticketType: doc.data().ticketType,
+        attendeeNumber: doc.data().attendeeNumber,
+        status: doc.data().status,
+        qr: doc.data().qr
+      }))
+    })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Verify payment error:', err)
+    res.status(500).json({ error: 'Failed to verify payment' })
+  }
+})
 
-        const ticketList = eventDoc[ticketField] || [];
+/* =======================
+   PAYMENT IDEMPOTENCY (ADMIN)
+   Inspect charges that failed or got stuck mid-fulfilment and replay them
+======================= */
+app.get('/api/admin/payment-idempotency', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-        const updatedTickets = ticketList.map(t => {
-            if (t.id !== metadata.ticketId) return t;
+  const { status } = req.query
+  if (status && !['received', 'processing', 'completed', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' })
+  }
 
-            return {
-                ...t,
-                sold: (t.sold || 0) + ticketQty,
-            };
-        });
+  try {
+    res.json(await listChargeRecords({ status }))
+  } catch (err) {
+    console.error('Fetch idempotency records error:', err)
+    res.status(500).json({ error: 'Failed to fetch payment records' })
+  }
+})
 
-        tx.update(eventRef, {
-            attendeeCount: currentCount + ticketQty,
-            [ticketField]: updatedTickets,
-        });
+app.post('/api/admin/payment-idempotency/:reference/replay', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-        // Write batch tickets
-        for (const item of preparedTickets) {
+  try {
+    const result = await replayCharge(req.params.reference)
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Replay charge error:', err)
+    res.status(500).json({ error: err.message || 'Failed to replay charge' })
+  }
+})
 
-          const attendeeNumber = currentCount + item.index + 1;
+/* =======================
+   UNFULFILLED ORDERS (ADMIN)
+   Paid but no tickets (needs_refund / amount_mismatch); refund them with
+   POST /api/orders/:reference/refunds. Charges that match no order at all
+   are listed too and are refunded with the provider by hand.
+======================= */
+app.get('/api/admin/unfulfilled-orders', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-          tx.set(item.ticketRef, {
-            ticketId: item.ticketId,
-            reference,
-            parentReference: reference,
-            ticketIndex: item.index,
+  try {
+    res.json(await listUnfulfilledOrders())
+  } catch (err) {
+    console.error('Fetch unfulfilled orders error:', err)
+    res.status(500).json({ error: 'Failed to fetch unfulfilled orders' })
+  }
+})
 
-            organizerId,
-            userId: metadata.userId || null,
+/* =======================
+   WEBHOOK INBOX (ADMIN)
+======================= */
+app.get('/api/admin/webhook-events', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-            eventId: metadata.eventId,
-            eventName: eventDoc.name,
-            ticketType: metadata.ticketName,
-            ticketQuantity:ticketQty,
-            totalTickets:attendeesList.length,
-            location: eventDoc.venue.name || "TBA",
-            map: eventDoc.venue.map,
-            currency:metadata.ticketCurrency,
+  const { status = 'dead' } = req.query
+  if (!['pending', 'processing', 'retrying', 'processed', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' })
+  }
 
-            amount: Number(metadata.ticketPrice || 0),
+  try {
+    res.json(await listWebhookEvents({ status }))
+  } catch (err) {
+    console.error('Fetch webhook events error:', err)
+    res.status(500).json({ error: 'Failed to fetch webhook events' })
+  }
+})
 
-            // Unified field naming matching frontend lookups & verification schemas
-            buyerName: item.attendee.name,
-            email: item.attendee.email.toLowerCase(),
+app.get('/api/admin/webhook-events/:id', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-            attendeeName: item.attendee.name,
-            attendeeEmail: item.attendee.email.toLowerCase(),
-            attendeeNumber,
+  try {
+    res.json(await getWebhookEvent(req.params.id))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Fetch webhook event error:', err)
+    res.status(500).json({ error: 'Failed to fetch webhook event' })
+  }
+})
 
-            purchaserName: metadata.fullName || customer.name || "Guest",
-            purchaserEmail: customer.email.toLowerCase(),
+app.post('/api/admin/webhook-events/:id/replay', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
 
-            isBuyer: item.attendee.isBuyer || false,
-            organizer: eventDoc.organizer,
+  try {
+    await replayWebhookEvent(req.params.id, req.user.uid)
+    setImmediate(() => processWebhookEvents().catch(err =>
+      console.error('❌ Webhook worker error:', err)
+    ))
 
-            qr: item.qrBase64,
-            status: "success",
-            used: false,
+    res.json({ success: true, status: 'pending' })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Replay webhook event error:', err)
+    res.status(500).json({ error: 'Failed to replay webhook event' })
+  }
+})
 
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
-        }
-      });
+/* =======================
+   CANCEL CHECKOUT (Release Held Seats)
+   Only the buyer: the cancelToken from init-payment, or signed in as the
+   order's user.
+======================= */
+app.post('/api/reservations/:reference/cancel', optionalAuthenticate, async (req, res) => {
+  try {
+    const released = await cancelReservation({
+      reference: req.params.reference,
+      token: req.body?.cancelToken,
+      uid: req.user?.uid
+    })
+    res.json({ success: true, released })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Release reservation error:', err)
+    res.status(500).json({ error: 'Failed to release reservation' })
+  }
+})
 
-      /* =========================
-         WALLET LEDGER
-      ========================== */
-      await db.collection('wallet_transactions').add({
-        reference,
-        eventId: metadata.eventId,
-        eventName: eventDoc.name,
-        organizerId,
-        grossAmount: paidAmount,
-        platformFee,
-        organizerAmount,
-        type: 'ticket_sale',
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      })
+/* =====================
+   PROVIDER WEBHOOKS (Inbox)
+   /api/webhook/paystack, /api/webhook/flutterwave
+======================= */
+app.post('/api/webhook/:provider', async (req, res) => {
+  let provider
+  try {
+    provider = getProvider(req.params.provider)
+  } catch {
+    return res.sendStatus(404)
+  }
 
-      await db.collection('notifications').add({
-        type: 'ticket_purchase',
-        title: '🎫 New Tickets Sold',
-        message: `${metadata.fullName || 'Someone'} bought ${ticketQty} ticket(s) for ${eventDoc.name}`,
-        userId: organizerId,
-        actorId: customer.email,
-        eventId: metadata.eventId,
-        location: eventDoc.location || 'TBA',
-        amount: paidAmount,
-        reference: reference,
-        read: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      })
+  try {
+    /* =========================
+       VERIFY PROVIDER SIGNATURE
+    ========================== */
+    if (!provider.verifyWebhook(req.body, req.headers)) {
+      return res.status(401).send('Invalid signature')
+    }
 
-      // Send emails with QR codes to all attendees (non-blocking)
-      setImmediate(async () => {
-        for (const { ticketId, attendee } of ticketIds) {
-          try {
-            const ticketSnap = await db.collection("tickets").doc(ticketId).get();
-            if (!ticketSnap.exists) continue;
-
-            const ticket = ticketSnap.data();
-
-            const emailPayload = new Brevo.SendSmtpEmail();
-            emailPayload.subject = `🦅 Congratulations, You're ${eventDoc.name} certified!`;
-            emailPayload.sender = {
-              name: "Airticks Events",
-              email: process.env.EMAIL_FROM,
-            };
-
-            emailPayload.to = [
-              {
-                email: ticket.email,
-                name: ticket.buyerName,
-              },
-            ];
-
-            emailPayload.attachment = [
-              {
-                name: "ticket-qr.png",
-                content: ticket.qr,
-              },
-            ];
-
-            const intro = ticket.isBuyer
-              ? `
-                <p>Thank you for purchasing your ticket${ticketQty > 1 ? "s" : ""} for <b>${eventDoc.name}</b>.</p>
-                <p>Your personal ticket is attached below.</p>
-                <p>Ticket No: ${ticket.attendeeNumber}</p>
-              `
-              : `
-                <p><strong>${metadata.fullName}</strong> has purchased this ticket for you to attend <b>${eventDoc.name}</b>.</p>
-                <p>This ticket is registered in your name and the QR code below is for your entry only.</p>
-              `;
-
-            emailPayload.htmlContent = `
-              <div style="font-family:Arial,sans-serif;max-width:600px;margin:auto;padding:20px;border:1px solid #eee;border-radius:12px;">
-
-                <h2 style="text-align:center;">🦅 Your ticket to the ${eventDoc.name} Experience is ready!</h2>
-
-                <p>Hello <strong>${ticket.buyerName}</strong>,</p>
-
-                ${intro}
-
-                <div style="text-align:center;margin:20px 0;">
-                  <img
-                    src="data:image/png;base64,${ticket.qr}"
-                    width="250"
-                    style="border:2px solid #ff8c00;padding:10px;border-radius:8px;"
-                  />
-                </div>
-
-                <table style="width:100%;border-collapse:collapse;">
-                  <tr>
-                    <td><strong>Attendee</strong></td>
-                    <td>${ticket.buyerName}</td>
-                  </tr>
-
-                  ${
-                    !ticket.isBuyer
-                      ? `
-                      <tr>
-                        <td><strong>Purchased By</strong></td>
-                        <td>${metadata.fullName}</td>
-                      </tr>
-                    `
-                      : ""
-                  }
-
-                  <tr>
-                    <td><strong>Event:</strong></td>
-                    <td>${eventDoc.name}</td>
-                  </tr>
-
-                  <tr>
-                    <td><strong>Location:</strong></td>
-                    <td>${ticket.location}</td>
-                  </tr>
-
-                  <tr>
-                    <td><strong>Direction:</strong></td>
-                    <td>${ticket.map}</td>
-                  </tr>
-
-                  <tr>
-                  <td><strong>TicketType</strong>
-                  <td>${ticket.ticketType}</td>
-                  </tr>
-
-                  <tr>
-                    <td><strong>Ticket Reference:</strong></td>
-                    <td>${ticketId}</td>
-                  </tr>
-                </table>
-
-                <p style="margin-top:20px;font-size:12px;color:#777;text-align:center;">
-                  ⏰ Please arrive at least 15 minutes before the event starts and present this QR code at the entrance.
-                </p>
-
-              </div>
-            `;
-
-            await emailApi.sendTransacEmail(emailPayload);
-
-            console.log(`📧 Ticket email sent to ${ticket.email}`);
-          } catch (emailErr) {
-            console.error(
-              "❌ Error sending ticket email to",
-              attendee.email,
-              emailErr
-            );
-          }
-        }
-      });
+    const payload = JSON.parse(req.body.toString())
 
-      console.log(`✅ Created ${attendeesList.length} individual ticket(s) with QR codes`)
-    }
+    /* =========================
+       STORE, ACK, PROCESS LATER
+    ========================== */
+    // Tickets, refunds and transfers are handled by the inbox worker
+    await storeWebhookEvent(provider.name, req.body, payload)
+    setImmediate(() => processWebhookEvents().catch(err =>
+      console.error('❌ Webhook worker error:', err)
+    ))
 
     return res.sendStatus(200)
   } catch (err) {
-    console.error('❌ PAYSTACK WEBHOOK ERROR:', err)
+    console.error(`❌ ${provider.name.toUpperCase()} WEBHOOK ERROR:`, err)
     return res.sendStatus(500)
   }
 })
 
 
 
+// HTTP status for each rejected scan result
+const SCAN_RESULT_STATUS = {
+  duplicate: 409,
+  entries_exhausted: 409,
+  used_today: 409,
+  already_inside: 409,
+  not_inside: 409,
+  not_valid_today: 403,
+  check_out_not_allowed: 400,
+  cancelled: 409,
+  not_found: 404,
+  wrong_event: 403,
+  replaced: 401,
+  invalid: 401,
+  signed_code_required: 400,
+}
+
 app.post("/api/tickets/verify", async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -1098,9 +997,21 @@ app.post("/api/tickets/verify", async (req, res) => {
       });
     }
 
-    const token = authHeader.split(" ")[1];
+    const idToken = authHeader.split(" ")[1];
+
+    const decoded = await admin.auth().verifyIdToken(idToken);
+
+    // `code` is the scanned QR content. The signature is checked before the
+    // ticket is read, so forged or edited codes never reach Firestore.
+    // A bare `ticketId` only works for tickets issued before QR signing.
+    // `action: "check_out"` lets a re-entry ticket holder step out.
+    const { code, ticketId, gate, action } = req.body;
 
-    const decoded = await admin.auth().verifyIdToken(token);
+    if (!code && !ticketId) {
+      return res.status(400).json({
+        error: "code is required.",
+      });
+    }
 
     const scannerDoc = await db
       .collection("users")
@@ -1115,47 +1026,43 @@ app.post("/api/tickets/verify", async (req, res) => {
 
     const scanner = scannerDoc.data();
 
-    if (!scanner.isAdmin && scanner.accountType !== "organization") {
-      return res.status(403).json({
-        error: "Only organizers and admins can verify tickets.",
-      });
-    }
-
-    const { ticketId } = req.body;
-
-    const ticketRef = db.collection("tickets").doc(ticketId);
-
-    const ticketDoc = await ticketRef.get();
+    // Only the organizer, admins and the event's door team can scan. A
+    // scanner may pin the scan to the event they're working (`eventId`).
+    const eventId = req.body.eventId || await resolveScanEvent({ code, ticketId });
 
-    if (!ticketDoc.exists) {
-      return res.status(404).json({
-        error: "Ticket not found.",
+    if (eventId) {
+      await getStaffEvent(eventId, {
+        uid: decoded.uid,
+        email: decoded.email,
+        email_verified: decoded.email_verified,
+        isAdmin: scanner.isAdmin === true,
       });
     }
 
-    const ticket = ticketDoc.data();
+    const outcome = await scanTicket({
+      scan: { code, ticketId, gate, action, scannedAt: new Date() },
+      scanner: { uid: decoded.uid, ...scanner },
+      eventId,
+    });
 
-    if (ticket.used) {
-      return res.status(409).json({
-        error: "Ticket already used.",
-        buyerName: ticket.buyerName,
-        eventName: ticket.eventName,
+    if (!SCAN_ACCEPTED.includes(outcome.result)) {
+      return res.status(SCAN_RESULT_STATUS[outcome.result] || 400).json({
+        error: outcome.message,
+        result: outcome.result,
+        buyerName: outcome.ticket?.buyerName,
+        eventName: outcome.ticket?.eventName,
+        firstScan: outcome.firstScan || null,
       });
     }
 
-    await ticketRef.update({
-      used: true,
-      scannedAt: admin.firestore.FieldValue.serverTimestamp(),
-      scannedBy: decoded.uid,
-      scannedByName:
-        scanner.fullName ||
-        scanner.displayName ||
-        scanner.name ||
-        "Admin",
-    });
+    const { ticket } = outcome;
 
     res.json({
       success: true,
+      result: outcome.result,
+      message: outcome.message,
+      entryCount: ticket.entryCount,
+      inside: ticket.inside ?? null,
       attendeeName: ticket.attendeeName,
       purchaserName: ticket.purchaserName,
       eventName: ticket.eventName,
@@ -1166,6 +1073,9 @@ app.post("/api/tickets/verify", async (req, res) => {
     });
 
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
 
     res.status(500).json({
@@ -1174,37 +1084,23 @@ app.post("/api/tickets/verify", async (req, res) => {
   }
 });
 
-app.get("/api/tickets/:ticketId", async (req, res) => {
+// Public, holder or staff view depending on who asks. The holder's email
+// link passes its token as ?access= (or the X-Ticket-Access header).
+app.get("/api/tickets/:ticketId", optionalAuthenticate, async (req, res) => {
   try {
-    const { ticketId } = req.params;
-
-    const ticketDoc = await db
-      .collection("tickets")
-      .doc(ticketId)
-      .get();
-
-    if (!ticketDoc.exists) {
-      return res.status(404).json({
-        error: "Ticket not found.",
-      });
-    }
-
-    const ticket = ticketDoc.data();
-
-    res.json({
-      attendeeName: ticket.attendeeName,
-      purchaserName: ticket.purchaserName,
-      eventName: ticket.eventName,
-      ticketType: ticket.ticketType,
-      ticketNumber: ticket.ticketNumber,
-      used: ticket.used,
-      scannedByName: ticket.scannedByName || null,
-      scannedAt: ticket.scannedAt
-        ? ticket.scannedAt.toDate()
-        : null,
+    const ticket = await lookupTicket({
+      ticketId: req.params.ticketId,
+      user: req.user,
+      accessToken: req.headers["x-ticket-access"] || req.query.access,
+      ip: req.ip,
     });
 
+    res.json(ticket);
+
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
 
     res.status(500).json({
@@ -1213,159 +1109,758 @@ app.get("/api/tickets/:ticketId", async (req, res) => {
   }
 });
 
-/* ============================================================
-   FETCH PAYSTACK SETTLEMENTS (BANK PAID STATUS)
-============================================================ */
-app.get('/api/paystack/settlements', authenticate, async (req, res) => {
+/* =======================
+   TICKET DOWNLOADS
+   ?format=pdf (default) | pkpass | google
+   Google Wallet responds with the "save" link rather than a file
+======================= */
+app.get('/api/tickets/:ticketId/download', authenticateBuyer, async (req, res) => {
   try {
-    // 🔐 Optional: restrict to admin only
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ error: 'Admin only' })
+    const { ticketId } = req.params
+    const format = req.query.format || 'pdf'
+    if (!TICKET_DOWNLOAD_FORMATS.includes(format)) {
+      throw badRequest(`format must be one of ${TICKET_DOWNLOAD_FORMATS.join(', ')}`)
     }
 
-    // 1️⃣ Fetch settlements from Paystack
-    const response = await fetch('https://api.paystack.co/settlement', {
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-      }
+    const { ticket, event } = await getTicketForUser(ticketId, req.user)
+    if (ticket.status === 'cancelled') {
+      return res.status(409).json({ error: 'This ticket has been cancelled' })
+    }
+
+    const download = await renderTicketDownload({ ticketId, ticket, event, format })
+    if (!download) {
+      return res.status(501).json({ error: `${format === 'google' ? 'Google' : 'Apple'} Wallet passes are not available` })
+    }
+    if (download.url) return res.json({ url: download.url })
+
+    res.setHeader('Content-Type', download.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${download.filename}"`)
+    res.send(download.content)
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Ticket download error:', err)
+    res.status(500).json({ error: 'Failed to generate ticket' })
+  }
+})
+
+/* =======================
+   TICKET TRANSFERS
+   The holder or purchaser moves a ticket to { name, email }
+======================= */
+app.post('/api/tickets/:ticketId/transfer', authenticate, async (req, res) => {
+  try {
+    const result = await transferTicket({
+      ticketId: req.params.ticketId,
+      user: req.user,
+      to: { name: req.body.name, email: req.body.email }
     })
 
-    const result = await response.json()
-    if (!result.status) {
-      return res.status(400).json({ error: result.message })
-    }
-
-    const processed = []
-
-    // 2️⃣ Process each settlement
-    for (const settlement of result.data) {
-      // Only confirmed bank payouts
-      if (settlement.status !== 'success' || !settlement.paid_at) continue
-
-      const subCode = settlement.subaccount?.subaccount_code
-      if (!subCode) continue
-
-      const settlementRef = settlement.id.toString()
-      const settlementAmount = settlement.total_amount / 100 // kobo → naira
-      const paidAt = new Date(settlement.paid_at)
-
-      // 3️⃣ Prevent duplicate settlement processing
-      const alreadyProcessed = await db
-        .collection('wallet_transactions')
-        .where('type', '==', 'settlement')
-        .where('reference', '==', settlementRef)
-        .limit(1)
-        .get()
-
-      if (!alreadyProcessed.empty) continue
-
-      // 4️⃣ Map subaccount → organizer
-      const subSnap = await db.collection('subaccounts').doc(subCode).get()
-      if (!subSnap.exists) continue
-
-      const organizerId = subSnap.data().organizerId
-      const walletRef = db.collection('wallets').doc(organizerId)
-
-      // 5️⃣ Atomic settlement transaction
-      await db.runTransaction(async tx => {
-        const walletSnap = await tx.get(walletRef)
-        const wallet = walletSnap.data() || {}
-
-        const pendingBalance = wallet.pendingBalance || 0
-        const settledBalance = wallet.settledBalance || 0
-
-        // Never settle more than what is pending
-        const amountToSettle = Math.min(pendingBalance, settlementAmount)
-
-        // Update wallet balances + PAID status
-        tx.set(
-          walletRef,
-          {
-            pendingBalance: pendingBalance - amountToSettle,
-            settledBalance: settledBalance + amountToSettle,
-            lastPaidAt: admin.firestore.Timestamp.fromDate(paidAt),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-          },
-          { merge: true }
-        )
-
-        // Ledger (source of truth)
-        tx.set(db.collection('wallet_transactions').doc(), {
-          organizerId,
-          reference: settlementRef,
-          amount: amountToSettle,
-          grossAmount: settlementAmount,
-          type: 'settlement',
-          status: 'paid',
-          source: 'paystack',
-          paidAt,
-          createdAt: admin.firestore.FieldValue.serverTimestamp()
-        })
-      })
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Ticket transfer error:', err)
+    res.status(500).json({ error: 'Failed to transfer ticket' })
+  }
+})
 
-      processed.push({
-        organizerId,
-        amount: settlementAmount,
-        paidAt
-      })
+// { enabled, cutoffHours, maxTransfers }
+app.put('/api/events/:eventId/transfer-rules', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getOwnedEvent(eventId, req.user)
 
-      await db.collection('notifications').add({
-        type: 'settlement',
-        title: '💰 Settlement Received',
-        message: `₦${settlementAmount.toLocaleString()} has been settled to your bank`,
-        userId: organizerId,
-        amount: settlementAmount, // <-- FIXED Variable
-        reference: settlementRef, // <-- FIXED Variable
-        link: '/dashboard/organization/wallet',
-        read: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      })
+    const transferRules = await setTransferRules({ eventId, input: req.body })
+    res.json({ success: true, transferRules })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Transfer rules error:', err)
+    res.status(500).json({ error: 'Failed to save transfer rules' })
+  }
+})
+
+/* =======================
+   MY ORDERS & TICKETS (BUYERS)
+======================= */
+app.get('/api/me/orders', authenticateBuyer, async (req, res) => {
+  try {
+    res.json(await listMyOrders(req.user))
+  } catch (err) {
+    console.error('My orders error:', err)
+    res.status(500).json({ error: 'Failed to fetch orders' })
+  }
+})
+
+app.get('/api/me/tickets', authenticateBuyer, async (req, res) => {
+  try {
+    res.json(await listMyTickets(req.user))
+  } catch (err) {
+    console.error('My tickets error:', err)
+    res.status(500).json({ error: 'Failed to fetch tickets' })
+  }
+})
+
+app.get('/api/orders/:reference', authenticateBuyer, async (req, res) => {
+  try {
+    res.json(await getOrderForUser(req.params.reference, req.user))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Order lookup error:', err)
+    res.status(500).json({ error: 'Failed to fetch order' })
+  }
+})
+
+// { ticketId } resends one ticket; without it, the whole order
+app.post('/api/orders/:reference/resend', authenticateBuyer, async (req, res) => {
+  try {
+    const result = await resendTicketEmails({
+      reference: req.params.reference,
+      ticketId: req.body?.ticketId,
+      user: req.user
+    })
+
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Resend tickets error:', err)
+    res.status(500).json({ error: 'Failed to resend tickets' })
+  }
+})
+
+// Guests ask for a magic link to their orders
+app.post('/api/guest-access', async (req, res) => {
+  try {
+    await requestGuestAccess({ email: req.body?.email, ip: req.ip })
+    res.status(202).json({
+      success: true,
+      message: 'If that email has tickets with us, a link to them is on its way.'
+    })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Guest access request error:', err)
+    res.status(500).json({ error: 'Failed to send link' })
+  }
+})
+
+/* =======================
+   REFUNDS (ORGANIZER / ADMIN)
+======================= */
+app.post('/api/orders/:reference/refunds', authenticate, async (req, res) => {
+  try {
+    const { reference } = req.params
+    const { ticketIds, reason, force } = req.body
+
+    if (ticketIds !== undefined && !Array.isArray(ticketIds)) {
+      return res.status(400).json({ error: 'ticketIds must be an array' })
+    }
+
+    const orderSnap = await db.collection('orders').doc(reference).get()
+    if (!orderSnap.exists) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    await getOwnedEvent(orderSnap.data().eventId, req.user)
+
+    const refund = await createRefund({
+      reference,
+      ticketIds,
+      reason,
+      requestedBy: req.user.uid,
+      // Refunding a ticket that was already used for entry is an admin call
+      force: force === true && req.user.isAdmin === true
+    })
+
+    res.status(201).json({ success: true, refund })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Refund error:', err)
+    res.status(500).json({ error: 'Failed to refund order' })
+  }
+})
+
+app.get('/api/orders/:reference/refunds', authenticate, async (req, res) => {
+  try {
+    const { reference } = req.params
+
+    const orderSnap = await db.collection('orders').doc(reference).get()
+    if (!orderSnap.exists) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    await getOwnedEvent(orderSnap.data().eventId, req.user)
+
+    const snap = await db.collection('refunds').where('reference', '==', reference).get()
+    res.json(snap.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt?.toDate(),
+      processedAt: doc.data().processedAt?.toDate() || null
+    })))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Fetch refunds error:', err)
+    res.status(500).json({ error: 'Failed to fetch refunds' })
+  }
+})
+
+/* =======================
+   WAITLIST
+   Buyers join when a ticket type is sold out; offers arrive by email
+======================= */
+app.post('/api/events/:eventId/waitlist', async (req, res) => {
+  try {
+    const { ticketTypeId, email, name, quantity, userId } = req.body
+
+    const entry = await joinWaitlist({
+      eventId: req.params.eventId,
+      ticketTypeId,
+      email,
+      name,
+      quantity,
+      userId,
+      ip: req.ip
+    })
+
+    res.status(201).json({ success: true, entry })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Join waitlist error:', err)
+    res.status(500).json({ error: 'Failed to join waitlist' })
+  }
+})
+
+// What an offer link holds, so checkout can be prefilled
+app.get('/api/waitlist/offers/:token', async (req, res) => {
+  try {
+    res.json(await getWaitlistOffer(req.params.token))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Waitlist offer error:', err)
+    res.status(500).json({ error: 'Failed to fetch offer' })
+  }
+})
+
+app.get('/api/events/:eventId/waitlist/stats', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getOwnedEvent(eventId, req.user)
+
+    res.json(await waitlistStats(eventId))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Waitlist stats error:', err)
+    res.status(500).json({ error: 'Failed to fetch waitlist stats' })
+  }
+})
+
+/* =======================
+   PROMO CODES (ORGANIZER)
+======================= */
+app.post('/api/events/:eventId/promo-codes', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    const { event } = await getOwnedEvent(eventId, req.user)
+
+    const id = await createPromoCode({
+      eventId,
+      event,
+      organizerId: event.ownerId,
+      input: req.body
+    })
+
+    res.status(201).json({ success: true, id })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Create promo code error:', err)
+    res.status(500).json({ error: 'Failed to create promo code' })
+  }
+})
+
+app.get('/api/events/:eventId/promo-codes', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getOwnedEvent(eventId, req.user)
+
+    res.json(await listPromoCodes(eventId))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('List promo codes error:', err)
+    res.status(500).json({ error: 'Failed to fetch promo codes' })
+  }
+})
+
+app.post('/api/promo-codes/:codeId/disable', authenticate, async (req, res) => {
+  try {
+    const codeSnap = await db.collection('promo_codes').doc(req.params.codeId).get()
+    if (!codeSnap.exists) {
+      return res.status(404).json({ error: 'Promo code not found' })
+    }
+
+    await getOwnedEvent(codeSnap.data().eventId, req.user)
+    await disablePromoCode(req.params.codeId)
+
+    res.json({ success: true })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Disable promo code error:', err)
+    res.status(500).json({ error: 'Failed to disable promo code' })
+  }
+})
+
+/* =======================
+   EVENT STAFF
+   The organizer invites scanners and supervisors by email
+======================= */
+app.post('/api/events/:eventId/staff', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    const { event } = await getOwnedEvent(eventId, req.user)
+
+    const invite = await inviteStaff({
+      eventId,
+      event,
+      email: req.body.email,
+      role: req.body.role || 'scanner',
+      invitedBy: req.user.uid
+    })
+
+    if (invite.status === 'invited') {
+      const inviterSnap = await db.collection('users').doc(req.user.uid).get()
+      const inviter = inviterSnap.data() || {}
+
+      sendStaffInviteEmail({
+        invite,
+        event,
+        invitedByName: inviter.fullName || inviter.displayName || inviter.name || event.organizer || 'The organizer'
+      }).catch(err => console.error('Staff invite email error:', invite.email, err))
+    }
+
+    res.status(201).json({ success: true, id: invite.id, status: invite.status, role: invite.role })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Invite staff error:', err)
+    res.status(500).json({ error: 'Failed to invite staff' })
+  }
+})
+
+app.get('/api/events/:eventId/staff', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getStaffEvent(eventId, req.user, { roles: ['supervisor'] })
+
+    res.json(await listEventStaff(eventId))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('List staff error:', err)
+    res.status(500).json({ error: 'Failed to fetch staff' })
+  }
+})
+
+app.delete('/api/events/:eventId/staff/:staffId', authenticate, async (req, res) => {
+  try {
+    const { eventId, staffId } = req.params
+    await getOwnedEvent(eventId, req.user)
+    await removeStaff({ eventId, inviteId: staffId })
+
+    res.json({ success: true })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Remove staff error:', err)
+    res.status(500).json({ error: 'Failed to remove staff' })
+  }
+})
+
+app.post('/api/staff-invites/:inviteId/accept', authenticate, async (req, res) => {
+  try {
+    const invite = await acceptStaffInvite({ inviteId: req.params.inviteId, user: req.user })
+    res.json({ success: true, eventId: invite.eventId, role: invite.role })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Accept staff invite error:', err)
+    res.status(500).json({ error: 'Failed to accept invite' })
+  }
+})
+
+// Events the signed-in user can scan for, and invites waiting for them
+app.get('/api/me/scan-events', authenticate, async (req, res) => {
+  try {
+    res.json(await listMyStaffEvents(req.user))
+  } catch (err) {
+    console.error('My scan events error:', err)
+    res.status(500).json({ error: 'Failed to fetch scan events' })
+  }
+})
+
+/* =======================
+   TICKET SIGNING KEYS
+   Scanners fetch the public keys to validate QR codes offline
+======================= */
+app.get('/api/events/:eventId/scanner-keys', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getStaffEvent(eventId, req.user)
+
+    res.json(await listEventPublicKeys(eventId))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Scanner keys error:', err)
+    res.status(500).json({ error: 'Failed to fetch scanner keys' })
+  }
+})
+
+// { revoke: true } invalidates the old keys and re-signs every ticket
+app.post('/api/events/:eventId/scanner-keys/rotate', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getOwnedEvent(eventId, req.user)
+
+    const result = await rotateEventKey(eventId, {
+      revoke: req.body.revoke === true,
+      rotatedBy: req.user.uid
+    })
+
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
     }
+    console.error('Rotate scanner key error:', err)
+    res.status(500).json({ error: 'Failed to rotate signing key' })
+  }
+})
+
+/* =======================
+   OFFLINE SCANNING
+   Devices download the manifest before doors open and upload the scans
+   they recorded once they're back online
+======================= */
+app.get('/api/events/:eventId/scan-manifest', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    const { event } = await getStaffEvent(eventId, req.user)
+
+    res.json(await buildScanManifest(eventId, event))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Scan manifest error:', err)
+    res.status(500).json({ error: 'Failed to build scan manifest' })
+  }
+})
+
+// { deviceId, scans: [{ localId, code | ticketId, scannedAt, gate? }] }
+app.post('/api/events/:eventId/scans/sync', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getStaffEvent(eventId, req.user)
+
+    const scannerSnap = await db.collection('users').doc(req.user.uid).get()
+
+    res.json(await syncOfflineScans({
+      eventId,
+      deviceId: req.body.deviceId,
+      scans: req.body.scans,
+      scanner: { uid: req.user.uid, ...scannerSnap.data() }
+    }))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Scan sync error:', err)
+    res.status(500).json({ error: 'Failed to sync scans' })
+  }
+})
+
+// Scan log for the event, newest first; ?ticketId= for one ticket's history
+app.get('/api/events/:eventId/scans', authenticate, async (req, res) => {
+  try {
+    const { eventId } = req.params
+    await getStaffEvent(eventId, req.user, { roles: ['supervisor'] })
+
+    res.json(await listScans({
+      eventId,
+      ticketId: req.query.ticketId || undefined,
+      limit: Math.min(Number(req.query.limit) || 100, 500),
+      startAfter: req.query.pageToken || undefined
+    }))
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('List scans error:', err)
+    res.status(500).json({ error: 'Failed to fetch scans' })
+  }
+})
+
+/* =======================
+   ENTRY POLICIES (ORGANIZER)
+   { type: 'single' | 'multi' | 'daily' | 'reentry', maxEntries?, startDate?, endDate? }
+======================= */
+app.put('/api/events/:eventId/ticket-types/:ticketTypeId/entry-policy', authenticate, async (req, res) => {
+  try {
+    const { eventId, ticketTypeId } = req.params
+    await getOwnedEvent(eventId, req.user)
+
+    const entryPolicy = await setEntryPolicy({ eventId, ticketTypeId, input: req.body })
+    res.json({ success: true, ticketTypeId, entryPolicy })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Entry policy error:', err)
+    res.status(500).json({ error: 'Failed to save entry policy' })
+  }
+})
+
+// { salesStart, salesEnd, salesLimit, nextTierId }, all optional
+app.put('/api/events/:eventId/ticket-types/:ticketTypeId/sales', authenticate, async (req, res) => {
+  try {
+    const { eventId, ticketTypeId } = req.params
+    await getOwnedEvent(eventId, req.user)
+
+    const sales = await setSalesSchedule({ eventId, ticketTypeId, input: req.body })
+    res.json({ success: true, ticketTypeId, sales })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Sales schedule error:', err)
+    res.status(500).json({ error: 'Failed to save sales schedule' })
+  }
+})
+
+// Public: the tier each chain is selling now and how long it has left
+app.get('/api/events/:eventId/ticket-tiers', async (req, res) => {
+  try {
+    const eventSnap = await db.collection('events').doc(req.params.eventId).get()
+    if (!eventSnap.exists) {
+      return res.status(404).json({ error: 'Event not found' })
+    }
+
+    res.json({ eventId: eventSnap.id, ...currentTiers(eventSnap.data()) })
+  } catch (err) {
+    console.error('Ticket tiers error:', err)
+    res.status(500).json({ error: 'Failed to fetch ticket tiers' })
+  }
+})
+
+/* =======================
+   PLATFORM FEE RULES (ADMIN)
+======================= */
+app.get('/api/admin/fee-rules', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    res.json(await listFeeRules())
+  } catch (err) {
+    console.error('Fetch fee rules error:', err)
+    res.status(500).json({ error: 'Failed to fetch fee rules' })
+  }
+})
+
+// { scope: 'platform' | 'organizer' | 'event', targetId, percentage, flat, cap, currency, payer }
+app.put('/api/admin/fee-rules', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    const { scope, targetId, ...input } = req.body
+    const rule = await saveFeeRule({ scope, targetId, input, adminId: req.user.uid })
+    res.json(rule)
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Save fee rule error:', err)
+    res.status(500).json({ error: 'Failed to save fee rule' })
+  }
+})
+
+app.delete('/api/admin/fee-rules/:ruleId', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    await deleteFeeRule(req.params.ruleId)
+    res.json({ success: true })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Delete fee rule error:', err)
+    res.status(500).json({ error: 'Failed to delete fee rule' })
+  }
+})
+
+/* ============================================================
+   FETCH PROVIDER SETTLEMENTS (BANK PAID STATUS)
+   ?provider= picks the provider (default paystack)
+============================================================ */
+app.get('/api/paystack/settlements', authenticate, async (req, res) => {
+  try {
+    // 🔐 Optional: restrict to admin only
+    if (!req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin only' })
+    }
+
+    // Same job the scheduler runs, triggered by hand
+    const run = await syncSettlements({
+      trigger: 'manual',
+      triggeredBy: req.user.uid,
+      provider: req.query.provider || 'paystack'
+    })
 
-    // 6️⃣ Response
     return res.json({
       success: true,
-      processedCount: processed.length,
-      processed
+      runId: run.runId,
+      pages: run.pages,
+      processedCount: run.processed.length,
+      processed: run.processed,
+      mismatches: run.mismatches,
+      unmapped: run.unmapped
     })
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
     console.error('❌ Settlement sync error:', err)
     res.status(500).json({ error: 'Failed to sync settlements' })
   }
 })
 
+app.get('/api/admin/settlement-sync-runs', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    res.json(await listSyncRuns())
+  } catch (err) {
+    console.error('Fetch sync runs error:', err)
+    res.status(500).json({ error: 'Failed to fetch settlement sync runs' })
+  }
+})
+
+/* ============================================================
+   SETTLEMENT SHORTFALLS
+   Settlements that exceeded the organizer's pendingBalance; the excess
+   stays in suspense until resolved here.
+============================================================ */
+app.get('/api/admin/settlement-reviews', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    res.json(await listSettlementReviews())
+  } catch (err) {
+    console.error('Fetch settlement reviews error:', err)
+    res.status(500).json({ error: 'Failed to fetch settlement reviews' })
+  }
+})
+
+app.post('/api/admin/settlement-reviews/:id/resolve', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    const result = await resolveSettlementShortfall({
+      id: req.params.id,
+      resolution: req.body.resolution,
+      note: req.body.note || null,
+      resolvedBy: req.user.uid
+    })
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Resolve settlement review error:', err)
+    res.status(500).json({ error: 'Failed to resolve settlement' })
+  }
+})
+
 app.post('/api/admin/withdraw', authenticate, async (req, res) => {
   // 1. Safety Check: Is the user actually an admin?
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Unauthorized: Admin access only' })
   }
 
-  const { amount } = req.body
-  if (!amount || amount <= 0)
-    return res.status(400).json({ error: 'Invalid amount' })
-
   try {
-    const platformWalletRef = db.collection('wallets').doc('platform')
+    const currency = normalizeCurrency(req.body.currency)
+    const amount = roundMoney(Number(req.body.amount), currency)
+    if (!Number.isFinite(amount) || amount <= 0) throw badRequest('Invalid amount')
 
     await db.runTransaction(async tx => {
-      const platformSnap = await tx.get(platformWalletRef)
-      const currentBalance = platformSnap.data()?.balance || 0
+      const platformSnap = await tx.get(walletRef('platform'))
+      const currentBalance = walletBalance(platformSnap.data(), currency, 'balance')
 
       // 2. Double-check balance on the server (Security best practice)
       if (currentBalance < amount) {
-        throw new Error('Insufficient platform balance')
+        throw conflict(`Insufficient platform ${currency} balance`)
       }
 
       // 3. Subtract from Platform Wallet
-      tx.update(platformWalletRef, {
-        balance: admin.firestore.FieldValue.increment(-amount),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      const ledgerRef = db.collection('wallet_transactions').doc()
+      const journalId = postJournal(tx, {
+        id: `platform_withdrawal_${ledgerRef.id}`,
+        type: 'platform_withdrawal',
+        currency,
+        adminId: req.user.uid,
+        lines: [
+          { account: ACCOUNTS.platformRevenue, debit: amount },
+          { account: ACCOUNTS.platformPayouts, credit: amount }
+        ]
       })
 
       // 4. Log the transaction for your accounting
-      const ledgerRef = db.collection('wallet_transactions').doc()
       tx.set(ledgerRef, {
+        journalId,
         amount,
+        currency,
         type: 'platform_withdrawal',
         adminId: req.user.uid,
         status: 'success',
@@ -1376,7 +1871,7 @@ app.post('/api/admin/withdraw', authenticate, async (req, res) => {
     await db.collection('notifications').add({
       type: 'platform_withdrawal',
       title: '🏦 Platform Withdrawal',
-      message: `₦${amount.toLocaleString()} withdrawn by admin`,
+      message: `${formatMoney(amount, currency)} withdrawn by admin`,
       userId: 'platform',
       adminId: req.user.uid,
       link: '/dashboard/wallet',
@@ -1386,6 +1881,9 @@ app.post('/api/admin/withdraw', authenticate, async (req, res) => {
 
     res.json({ success: true, message: 'Withdrawal recorded successfully' })
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
     console.error('Platform Withdrawal Error:', err)
     res
       .status(500)
@@ -1393,6 +1891,180 @@ app.post('/api/admin/withdraw', authenticate, async (req, res) => {
   }
 })
 
+/* =======================
+   LEDGER AUDIT (ADMIN)
+   Compares stored wallet balances with what ledger_entries add up to
+======================= */
+app.get('/api/admin/ledger/audit', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    const { ownerId, pageToken } = req.query
+
+    if (ownerId) return res.json(await auditWallet(ownerId))
+
+    res.json(await auditWallets({
+      limit: Math.min(Number(req.query.limit) || 100, 500),
+      startAfter: pageToken || undefined
+    }))
+  } catch (err) {
+    console.error('Ledger audit error:', err)
+    res.status(500).json({ error: 'Failed to audit wallets' })
+  }
+})
+
+// Overwrite one wallet's balances with the ledger's
+app.post('/api/admin/ledger/recompute/:ownerId', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    const balances = await repairWallet(req.params.ownerId, req.user.uid)
+    res.json({ success: true, ownerId: req.params.ownerId, balances })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Wallet recompute error:', err)
+    res.status(500).json({ error: 'Failed to recompute wallet' })
+  }
+})
+
+/* =======================
+   FINANCIAL REPORTS
+   ?from=2025-01-01&to=2025-01-31&format=json|csv|pdf
+======================= */
+const REPORT_FORMATS = ['json', 'csv', 'pdf']
+
+const sendReport = (res, report, format, name) => {
+  const day = value => value.toISOString().slice(0, 10)
+  const filename = `${name}-${day(report.from)}-to-${day(report.to)}.${format}`
+
+  if (format === 'json') return res.json(report)
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+  if (format === 'csv') {
+    res.type('text/csv').send(renderReportCsv(report))
+  } else {
+    res.type('application/pdf')
+    renderReportPdf(report, res)
+  }
+}
+
+const reportFormat = format => {
+  const value = String(format || 'json').toLowerCase()
+  if (!REPORT_FORMATS.includes(value)) throw badRequest('format must be json, csv or pdf')
+  return value
+}
+
+// Organizers get their own statement; admins can pass ?organizerId=
+app.get('/api/reports/organizer', authenticate, async (req, res) => {
+  try {
+    const organizerId = req.user.isAdmin && req.query.organizerId
+      ? req.query.organizerId
+      : req.user.uid
+    const format = reportFormat(req.query.format)
+    const range = parseReportRange(req.query)
+
+    const report = await buildOrganizerReport({ organizerId, ...range })
+    sendReport(res, report, format, 'statement')
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Organizer report error:', err)
+    res.status(500).json({ error: 'Failed to build report' })
+  }
+})
+
+app.get('/api/admin/reports/platform', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin only' })
+  }
+
+  try {
+    const format = reportFormat(req.query.format)
+    const range = parseReportRange(req.query)
+
+    const report = await buildPlatformReport(range)
+    sendReport(res, report, format, 'platform-statement')
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Platform report error:', err)
+    res.status(500).json({ error: 'Failed to build report' })
+  }
+})
+
+/* =======================
+   ORGANIZER WITHDRAWALS
+======================= */
+app.post('/api/withdrawals', authenticate, async (req, res) => {
+  try {
+    const id = await requestWithdrawal({
+      organizerId: req.user.uid,
+      amount: req.body.amount,
+      currency: req.body.currency
+    })
+
+    res.status(201).json({ success: true, id, status: 'pending' })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Withdrawal request error:', err)
+    res.status(500).json({ error: 'Failed to request withdrawal' })
+  }
+})
+
+app.post('/api/admin/withdrawals/:id/approve', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Unauthorized: Admin access only' })
+  }
+
+  try {
+    const result = await approveWithdrawal({
+      requestId: req.params.id,
+      adminId: req.user.uid
+    })
+
+    res.json({ success: true, ...result })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Withdrawal approval error:', err)
+    res.status(500).json({ error: 'Failed to approve withdrawal' })
+  }
+})
+
+app.post('/api/admin/withdrawals/:id/reject', authenticate, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Unauthorized: Admin access only' })
+  }
+
+  try {
+    await rejectWithdrawal({
+      requestId: req.params.id,
+      adminId: req.user.uid,
+      reason: req.body.reason
+    })
+
+    res.json({ success: true })
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message })
+    }
+    console.error('Withdrawal rejection error:', err)
+    res.status(500).json({ error: 'Failed to reject withdrawal' })
+  }
+})
+
 app.get('/api/withdrawals', authenticate, async (req, res) => {
   try {
     const uid = req.user.uid
@@ -1408,7 +2080,8 @@ app.get('/api/withdrawals', authenticate, async (req, res) => {
     const requests = reqSnap.docs.map(doc => ({
       id: doc.id,
       amount: doc.data().amount,
-      status: doc.data().status, // pending | paid
+      currency: doc.data().currency || DEFAULT_CURRENCY,
+      status: doc.data().status, // pending | processing | paid | failed | reversed | rejected
       reference: doc.data().reference || null,
       createdAt: doc.data().createdAt?.toDate()
     }))
@@ -1422,14 +2095,18 @@ app.get('/api/withdrawals', authenticate, async (req, res) => {
       ledgerQuery = ledgerQuery.where('organizerId', '==', uid)
     }
 
+    // Rows created from a withdraw request are already listed above
     const ledgerSnap = await ledgerQuery.get()
-    const ledger = ledgerSnap.docs.map(doc => ({
-      id: doc.id,
-      amount: doc.data().amount,
-      status: 'success',
-      reference: doc.data().reference,
-      createdAt: doc.data().createdAt?.toDate()
-    }))
+    const ledger = ledgerSnap.docs
+      .filter(doc => !doc.data().withdrawRequestId)
+      .map(doc => ({
+        id: doc.id,
+        amount: doc.data().amount,
+        currency: doc.data().currency || DEFAULT_CURRENCY,
+        status: doc.data().status || 'success',
+        reference: doc.data().reference,
+        createdAt: doc.data().createdAt?.toDate()
+      }))
 
     // 3️⃣ Merge & sort
     const combined = [...requests, ...ledger].sort(
@@ -1471,6 +2148,7 @@ app.post('/api/payout-history', authenticate, async (req, res) => {
     const history = snap.docs.map(doc => ({
       id: doc.id,
       amount: doc.data().amount,
+      currency: doc.data().currency || DEFAULT_CURRENCY,
       reference: doc.data().reference,
       createdAt: doc.data().createdAt?.toDate()
     }))
@@ -1481,6 +2159,62 @@ app.post('/api/payout-history', authenticate, async (req, res) => {
   }
 })
 
+/* =======================
+   RESERVATION SWEEPER
+   Also finishes refunds left `provider_accepted`
+======================= */
+const RESERVATION_SWEEP_SECONDS = Number(process.env.RESERVATION_SWEEP_SECONDS) || 60
+
+setInterval(async () => {
+  try {
+    const released = await releaseExpiredReservations()
+    if (released) console.log(`⏳ Released ${released} expired reservation(s)`)
+
+    const refunds = await completeAcceptedRefunds()
+    if (refunds) console.log(`↩️ Completed ${refunds} accepted refund(s)`)
+
+    // Released seats go to the waitlist first
+    const waitlist = await sweepWaitlists()
+    if (waitlist.expired || waitlist.offered) {
+      console.log(`📋 Waitlist: ${waitlist.expired} offer(s) expired, ${waitlist.offered} new offer(s)`)
+    }
+  } catch (err) {
+    console.error('❌ Reservation sweep error:', err)
+  }
+}, RESERVATION_SWEEP_SECONDS * 1000).unref()
+
+/* =======================
+   WEBHOOK WORKER
+   Picks up retries whose backoff has passed, and anything a crashed
+   process left half-done
+======================= */
+const WEBHOOK_WORKER_INTERVAL_SECONDS = Number(process.env.WEBHOOK_WORKER_INTERVAL_SECONDS) || 15
+
+setInterval(() => {
+  processWebhookEvents().catch(err => console.error('❌ Webhook worker error:', err))
+}, WEBHOOK_WORKER_INTERVAL_SECONDS * 1000).unref()
+
+/* =======================
+   SETTLEMENT SYNC SCHEDULE
+   SETTLEMENT_SYNC_INTERVAL_MINUTES=0 turns it off
+   (`npm run sync:settlements` runs it once from the CLI)
+======================= */
+const SETTLEMENT_SYNC_INTERVAL_MINUTES = Number(process.env.SETTLEMENT_SYNC_INTERVAL_MINUTES ?? 60)
+
+if (SETTLEMENT_SYNC_INTERVAL_MINUTES > 0) {
+  setInterval(async () => {
+    for (const provider of settlementProviders()) {
+      try {
+        const run = await syncSettlements({ trigger: 'schedule', provider })
+        console.log(`💰 ${provider} settlement sync: ${run.processed.length} booked, ${run.mismatches.length} mismatch(es)`)
+      } catch (err) {
+        if (err instanceof HttpError && err.status === 409) continue // another instance is syncing
+        console.error(`❌ Scheduled ${provider} settlement sync error:`, err)
+      }
+    }
+  }, SETTLEMENT_SYNC_INTERVAL_MINUTES * 60 * 1000).unref()
+}
+
 /* =======================
    SERVER START
 ======================= */